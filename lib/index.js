@@ -1,6 +1,9 @@
+const path = require('path')
 const Database = require('better-sqlite3')
 const Machine = require('machine')
 const buildStdAdapterMethod = require('./private/build-std-adapter-method')
+const buildMigrationAdapterMethod = require('./private/build-migration-adapter-method')
+const buildCheckConstraints = require('./private/machines/private/build-check-constraints')
 
 /**
  * Module constants
@@ -26,7 +29,9 @@ const DRY_MACHINES = {
   beginTransaction: require('./private/machines/begin-transaction'),
   commitTransaction: require('./private/machines/commit-transaction'),
   rollbackTransaction: require('./private/machines/rollback-transaction'),
-  leaseConnection: require('./private/machines/lease-connection')
+  leaseConnection: require('./private/machines/lease-connection'),
+  backupDatabase: require('./private/machines/backup-database'),
+  restoreDatabase: require('./private/machines/restore-database')
 }
 
 const WET_MACHINES = Object.fromEntries(
@@ -36,6 +41,18 @@ const WET_MACHINES = Object.fromEntries(
   ])
 )
 
+// The actions SQLite supports for `ON DELETE` / `ON UPDATE` on a foreign key.
+const FOREIGN_KEY_ACTIONS = [
+  'CASCADE',
+  'SET NULL',
+  'SET DEFAULT',
+  'RESTRICT',
+  'NO ACTION'
+]
+
+// The collations SQLite has built in (for an attribute's `meta.collation`).
+const COLLATIONS = ['BINARY', 'NOCASE', 'RTRIM']
+
 /**
  * Module state
  */
@@ -137,7 +154,7 @@ module.exports = {
    * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
    * @param  {Dictionary}   models                »-> Dictionary of model definitions using this datastore.
    *         ˚¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯\
-   *         ˙ [identity]: {Dictionary}  :: Info about a model using this datastore.
+   *         ˙ [tableName]: {Dictionary}  :: Info about a model using this datastore.
    *               ˚¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯¯\
    *               ˙ primaryKey: {String}      :: The name of the primary key attribute.
    *               ˙ identity: {String}        :: The model's `identity`.
@@ -178,6 +195,18 @@ module.exports = {
       )
     }
 
+    // Settings for individual tables (e.g. `tables: { tickets: { strict: true } }`).
+    // These live in the datastore config, because Waterline only passes each
+    // model's attributes (and not any other model settings) along to the adapter.
+    const tables = dsConfig.tables === undefined ? {} : dsConfig.tables
+    if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+      return done(
+        new Error(
+          'Invalid `tables` config: should be a dictionary of settings keyed by table name, e.g. `{ tickets: { indexes: [...] } }`.'
+        )
+      )
+    }
+
     //  ╔═╗╦═╗╔═╗╔═╗╔╦╗╔═╗  ┌┬┐┌─┐┌┐┌┌─┐┌─┐┌─┐┬─┐
     //  ║  ╠╦╝║╣ ╠═╣ ║ ║╣   │││├─┤│││├─┤│ ┬├┤ ├┬┘
     //  ╚═╝╩╚═╚═╝╩ ╩ ╩ ╚═╝  ┴ ┴┴ ┴┘└┘┴ ┴└─┘└─┘┴└─
@@ -190,11 +219,7 @@ module.exports = {
     // This is where we'll also set up any SQLite-specific configurations, like pragmas for performance tuning.
     WET_MACHINES.createManager({
       connectionString: dsConfig.url,
-      meta: Object.fromEntries(
-        Object.entries(dsConfig).filter(
-          ([key]) => !['adapter', 'url', 'identity', 'schema'].includes(key)
-        )
-      )
+      meta: getManagerMeta(dsConfig)
     }).switch({
       error: function (err) {
         return done(
@@ -271,14 +296,17 @@ module.exports = {
             }
 
             const modelDefinition = modelInfo.definition || modelInfo.attributes
+            const tableConfig = tables[modelInfo.tableName] || {}
 
             registeredDryModels[modelIdentity] = {
-              identity: modelIdentity,
               primaryKey: modelInfo.primaryKey,
               definition: modelDefinition,
               attributes: modelDefinition,
               tableName: modelInfo.tableName,
               identity: modelInfo.identity,
+              indexes: tableConfig.indexes,
+              strict: tableConfig.strict,
+              fullTextSearch: tableConfig.fullTextSearch,
               datastore: datastoreName
             }
 
@@ -418,15 +446,6 @@ module.exports = {
    */
   getConnection: DRY_MACHINES.getConnection,
 
-  /**
-   *  ╦═╗╔═╗╦  ╔═╗╔═╗╔═╗╔═╗  ╔═╗╔═╗╔╗╔╔╗╔╔═╗╔═╗╔╦╗╦╔═╗╔╗╔
-   *  ╠╦╝║╣ ║  ║╣ ╠═╣╚═╗║╣   ║  ║ ║║║║║║║║╣ ║   ║ ║║ ║║║║
-   *  ╩╚═╚═╝╩═╝╚═╝╩ ╩╚═╝╚═╝  ╚═╝╚═╝╝╚╝╝╚╝╚═╝╚═╝ ╩ ╩╚═╝╝╚╝
-   *
-   * > https://github.com/node-machine/driver-interface/blob/master/layers/connectable/release-connection.js
-   */
-  releaseConnection: DRY_MACHINES.releaseConnection,
-
   ///////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
   //  ██╗   ██╗███████╗██████╗ ██╗███████╗██╗   ██╗    ███╗   ███╗ ██████╗ ██████╗ ███████╗██╗         ██████╗ ███████╗███████╗    //
   //  ██║   ██║██╔════╝██╔══██╗██║██╔════╝╚██╗ ██╔╝    ████╗ ████║██╔═══██╗██╔══██╗██╔════╝██║         ██╔══██╗██╔════╝██╔════╝    //
@@ -743,25 +762,163 @@ module.exports = {
       }
     }
 
-    // Convert phmDef to the format expected by definePhysicalModel
-    const columns = Object.entries(phmDef).map(([columnName, phmAttrDef]) => {
-      const isAutoIncrement =
-        columnName === 'id' || phmAttrDef.autoIncrement || false
+    // The physical model definition only carries column types, so look up the
+    // registered model for anything else (e.g. associations).
+    const dryModel = Object.values(registeredDryModels).find(
+      (model) =>
+        model.tableName === tableName && model.datastore === datastoreName
+    )
+
+    // Whether to create a STRICT table (with constraints derived from validations).
+    // The table's own `strict` setting takes precedence over the datastore's.
+    const strict =
+      dryModel && dryModel.strict !== undefined
+        ? !!dryModel.strict
+        : !!dsEntry.config.strict
+
+    // Helper function to find the attribute definition for a column
+    function findAttrDef(columnName) {
+      if (!dryModel || !dryModel.definition) {
+        return undefined
+      }
+      const attribute = Object.entries(dryModel.definition).find(
+        ([attrName, attrDef]) => (attrDef.columnName || attrName) === columnName
+      )
+      return attribute && attribute[1]
+    }
+
+    // Helper function to build the foreign key for a singular association (`model: 'user'`)
+    function buildReferences(columnName, attrDef) {
+      if (!attrDef || !attrDef.model) {
+        return undefined
+      }
+
+      // Associated models in other datastores live in other database files,
+      // which SQLite cannot enforce a foreign key against.
+      // (Models are registered by table name, so look the target up by identity.)
+      const otherModel = Object.values(registeredDryModels).find(
+        (model) => model.identity === attrDef.model.toLowerCase()
+      )
+      if (!otherModel || otherModel.datastore !== datastoreName) {
+        return undefined
+      }
+      const otherPkAttrDef = otherModel.definition[otherModel.primaryKey]
+
+      const attrMeta = attrDef.meta || {}
+      const [onDelete, onUpdate] = ['onDelete', 'onUpdate'].map((option) => {
+        if (attrMeta[option] === undefined) {
+          return undefined
+        }
+        const action = String(attrMeta[option]).toUpperCase()
+        if (!FOREIGN_KEY_ACTIONS.includes(action)) {
+          throw new Error(
+            `Invalid \`${option}\` (${attrMeta[option]}) for association \`${columnName}\` in table \`${tableName}\`. Expected one of: ${FOREIGN_KEY_ACTIONS.join(', ')}.`
+          )
+        }
+        return action
+      })
+
       return {
-        columnName,
-        unique: phmAttrDef.unique || false,
-        required: phmAttrDef.required || false,
-        autoIncrement: isAutoIncrement,
-        primaryKey: isAutoIncrement || phmAttrDef.primaryKey || false,
-        columnType: mapWaterlineTypeToColumnType(phmAttrDef.type, phmAttrDef)
+        tableName: otherModel.tableName,
+        columnName:
+          (otherPkAttrDef && otherPkAttrDef.columnName) ||
+          otherModel.primaryKey,
+        onDelete,
+        onUpdate
       }
-    })
+    }
+
+    // Helper function to validate an attribute's collation (e.g. `meta: { collation: 'NOCASE' }`)
+    function getCollation(columnName, attrDef) {
+      const attrMeta = (attrDef && attrDef.meta) || {}
+      if (attrMeta.collation === undefined) {
+        return undefined
+      }
+      const collation = String(attrMeta.collation).toUpperCase()
+      if (!COLLATIONS.includes(collation)) {
+        throw new Error(
+          `Invalid \`meta.collation\` (${attrMeta.collation}) for attribute \`${columnName}\` in table \`${tableName}\`. Expected one of: ${COLLATIONS.join(', ')}.`
+        )
+      }
+      return collation
+    }
+
+    // Convert phmDef to the format expected by definePhysicalModel
+    let columns
+    try {
+      columns = Object.entries(phmDef).map(([columnName, phmAttrDef]) => {
+        const isAutoIncrement =
+          columnName === 'id' || phmAttrDef.autoIncrement || false
+        const attrDef = findAttrDef(columnName)
+        const required = !!(
+          phmAttrDef.required ||
+          (attrDef && attrDef.required)
+        )
+        return {
+          columnName,
+          unique: phmAttrDef.unique || false,
+          required,
+          autoIncrement: isAutoIncrement,
+          primaryKey: isAutoIncrement || phmAttrDef.primaryKey || false,
+          columnType: mapWaterlineTypeToColumnType(phmAttrDef.type, phmAttrDef),
+          references: buildReferences(columnName, attrDef),
+          collation: getCollation(columnName, attrDef),
+          notNull: strict && required,
+          checks:
+            strict && attrDef
+              ? buildCheckConstraints(columnName, attrDef.validations)
+              : []
+        }
+      })
+    } catch (err) {
+      return done(err)
+    }
+
+    // The table's indexes (e.g. `indexes: [{ columns: ['org', 'createdAt'] }]`)
+    // may refer to attributes by name, so translate those to column names.
+    const modelIndexes = (dryModel && dryModel.indexes) || []
+    if (!Array.isArray(modelIndexes)) {
+      return done(
+        new Error(
+          `Invalid \`tables\` config: \`indexes\` for table \`${tableName}\` should be an array.`
+        )
+      )
+    }
+    const indexes = modelIndexes.map((index) => ({
+      ...index,
+      columns: Array.isArray(index.columns)
+        ? index.columns.map((column) => {
+            const attrDef =
+              typeof column === 'string' && dryModel.definition[column]
+            return (attrDef && attrDef.columnName) || column
+          })
+        : index.columns
+    }))
+
+    // The columns to index for full-text search (e.g. `fullTextSearch: ['title', 'body']`)
+    const fullTextSearch = (dryModel && dryModel.fullTextSearch) || []
+    if (
+      !Array.isArray(fullTextSearch) ||
+      !fullTextSearch.every((attrName) => typeof attrName === 'string')
+    ) {
+      return done(
+        new Error(
+          `Invalid \`tables\` config: \`fullTextSearch\` for table \`${tableName}\` should be an array of attribute names.`
+        )
+      )
+    }
 
     // Call the definePhysicalModel machine
     WET_MACHINES.definePhysicalModel({
       connection: dsEntry.manager,
       tableName: tableName,
       columns: columns,
+      strict: strict,
+      indexes: indexes,
+      fullTextSearch: fullTextSearch.map((attrName) => {
+        const attrDef = dryModel.definition[attrName]
+        return (attrDef && attrDef.columnName) || attrName
+      }),
       meta: dsEntry.config
     }).switch({
       error: function (err) {
@@ -1076,6 +1233,8 @@ module.exports = {
    *  ║  ║╣ ╠═╣╚═╗║╣   │  │ │││││││├┤ │   │ ││ ││││
    *  ╩═╝╚═╝╩ ╩╚═╝╚═╝  └─┘└─┘┘└┘┘└┘└─┘└─┘ ┴ ┴└─┘┘└┘
    * Lease a connection from the datastore for use in a transaction.
+   * This is the writer (or a read-only connection, with `meta.readonly`), and it
+   * is yours alone until it is passed to `releaseConnection()`.
    * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
    * @param  {String}       datastoreName   The name of the datastore to lease from.
    * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -1111,5 +1270,292 @@ module.exports = {
         return done(null, connection)
       }
     })
+  },
+
+  /**
+   *  ╦═╗╔═╗╦  ╔═╗╔═╗╔═╗╔═╗  ╔═╗╔═╗╔╗╔╔╗╔╔═╗╔═╗╔╦╗╦╔═╗╔╗╔
+   *  ╠╦╝║╣ ║  ║╣ ╠═╣╚═╗║╣   ║  ║ ║║║║║║║║╣ ║   ║ ║║ ║║║║
+   *  ╩╚═╚═╝╩═╝╚═╝╩ ╩╚═╝╚═╝  ╚═╝╚═╝╝╚╝╝╚╝╚═╝╚═╝ ╩ ╩╚═╝╝╚╝
+   * Hand a leased connection back to the datastore, so that the next caller waiting for it can have it.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       datastoreName   The name of the datastore the connection was leased from.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Dictionary}   options         Release options (connection, meta).
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Function}     done            Callback
+   *               @param {Error?}
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   */
+  releaseConnection: function (datastoreName, options, done) {
+    const dsEntry = registeredDsEntries[datastoreName]
+
+    if (!dsEntry) {
+      return done(
+        new Error(
+          `Consistency violation: Cannot do that with datastore (${datastoreName}) because no matching datastore entry is registered in this adapter! This is usually due to a race condition (e.g. a lifecycle callback still running after the ORM has been torn down), or it could be due to a bug in this adapter. (If you get stumped, reach out at http://sailsjs.com/support.)`
+        )
+      )
+    }
+
+    WET_MACHINES.releaseConnection({
+      connection: options.connection,
+      meta: options.meta || {}
+    }).switch({
+      error: function (err) {
+        return done(err)
+      },
+      badConnection: function () {
+        return done(
+          new Error(
+            'The provided `connection` is not a valid SQLite connection.'
+          )
+        )
+      },
+      success: function () {
+        return done()
+      }
+    })
+  },
+
+  //////////////////////////////////////////////////////////////////////////////////////////////////
+  //                                                                                              //
+  // Migration methods:                                                                           //
+  // Methods related to versioned migration files (run, undo, inspect).                           //
+  //////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   *  ╔╦╗╦╔═╗╦═╗╔═╗╔╦╗╔═╗  ┬  ┌─┐┌┬┐┌─┐┌─┐┌┬┐
+   *  ║║║║║ ╦╠╦╝╠═╣ ║ ║╣   │  ├─┤ │ ├┤ └─┐ │
+   *  ╩ ╩╩╚═╝╩╚═╩ ╩ ╩ ╚═╝  ┴─┘┴ ┴ ┴ └─┘└─┘ ┴
+   * Run every pending migration file (in one transaction, as a new batch).
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       datastoreName   The name of the datastore to migrate.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Dictionary}   meta            Meta options.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Function}     done            Callback
+   *               @param {Error?}
+   *               @param {Dictionary?} report  { batch, migrated }
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   */
+  migrateLatest: buildMigrationAdapterMethod(
+    require('./private/machines/migrate-latest'),
+    registeredDsEntries
+  ),
+
+  /**
+   *  ╔╦╗╦╔═╗╦═╗╔═╗╔╦╗╔═╗  ┬─┐┌─┐┬  ┬  ┌┐ ┌─┐┌─┐┬┌─
+   *  ║║║║║ ╦╠╦╝╠═╣ ║ ║╣   ├┬┘│ ││  │  ├┴┐├─┤│  ├┴┐
+   *  ╩ ╩╩╚═╝╩╚═╩ ╩ ╩ ╚═╝  ┴└─└─┘┴─┘┴─┘└─┘┴ ┴└─┘┴ ┴
+   * Undo the most recent batch of migrations (in one transaction).
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       datastoreName   The name of the datastore to roll back.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Dictionary}   meta            Meta options.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Function}     done            Callback
+   *               @param {Error?}
+   *               @param {Dictionary?} report  { batch, rolledBack }
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   */
+  migrateRollback: buildMigrationAdapterMethod(
+    require('./private/machines/migrate-rollback'),
+    registeredDsEntries
+  ),
+
+  /**
+   *  ╔╦╗╦╔═╗╦═╗╔═╗╔╦╗╦╔═╗╔╗╔  ┌─┐┌┬┐┌─┐┌┬┐┬ ┬┌─┐
+   *  ║║║║║ ╦╠╦╝╠═╣ ║ ║║ ║║║║  └─┐ │ ├─┤ │ │ │└─┐
+   *  ╩ ╩╩╚═╝╩╚═╩ ╩ ╩ ╩╚═╝╝╚╝  └─┘ ┴ ┴ ┴ ┴ └─┘└─┘
+   * Report which migrations have run, which are pending, and which are missing.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       datastoreName   The name of the datastore to inspect.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Dictionary}   meta            Meta options.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Function}     done            Callback
+   *               @param {Error?}
+   *               @param {Dictionary?} report  { applied, pending, missing }
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   */
+  migrationStatus: buildMigrationAdapterMethod(
+    require('./private/machines/migration-status'),
+    registeredDsEntries
+  ),
+  //////////////////////////////////////////////////////////////////////////////////////////////////
+  //                                                                                              //
+  // Backup methods:                                                                              //
+  // Methods related to backing up the database while it is in use.                              //
+  //////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   *  ╔╗ ╔═╗╔═╗╦╔═╦ ╦╔═╗
+   *  ╠╩╗╠═╣║  ╠╩╗║ ║╠═╝
+   *  ╚═╝╩ ╩╚═╝╩ ╩╚═╝╩
+   * Write an online backup of the datastore's database to another file.
+   * Other queries keep running while the backup is copied over, a few pages at a time.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       datastoreName     The name of the datastore to back up.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       destinationPath   Where to write the backup (relative to the current directory).
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Dictionary?}  options           Backup options (progress).
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Function}     done            Callback
+   *               @param {Error?}
+   *               @param {Dictionary?} report  { destinationPath, totalPages }
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   */
+  backup: function (datastoreName, destinationPath, options, done) {
+    if (typeof options === 'function') {
+      done = options
+      options = {}
+    }
+    options = options || {}
+
+    const dsEntry = registeredDsEntries[datastoreName]
+
+    if (!dsEntry) {
+      return done(
+        new Error(
+          `Consistency violation: Cannot do that with datastore (${datastoreName}) because no matching datastore entry is registered in this adapter! This is usually due to a race condition (e.g. a lifecycle callback still running after the ORM has been torn down), or it could be due to a bug in this adapter. (If you get stumped, reach out at http://sailsjs.com/support.)`
+        )
+      )
+    }
+
+    if (typeof destinationPath !== 'string' || !destinationPath) {
+      return done(
+        new Error(
+          'Cannot back up the database: `destinationPath` should be the path of the file to write the backup to.'
+        )
+      )
+    }
+
+    WET_MACHINES.backupDatabase({
+      connection: dsEntry.manager,
+      destinationPath: path.resolve(destinationPath),
+      progress: options.progress
+    }).switch({
+      error: function (err) {
+        return done(err)
+      },
+      success: function (report) {
+        return done(null, report)
+      }
+    })
+  },
+
+  /**
+   *  ╦═╗╔═╗╔═╗╔╦╗╔═╗╦═╗╔═╗
+   *  ╠╦╝║╣ ╚═╗ ║ ║ ║╠╦╝║╣
+   *  ╩╚═╚═╝╚═╝ ╩ ╚═╝╩╚═╚═╝
+   * Replace the datastore's database with a backup, without restarting the process.
+   * Waits for the writer to be free, checks the backup with `PRAGMA integrity_check`,
+   * swaps the file in, and reopens the datastore's manager. Anyone who asks for a
+   * connection in the meantime is handed one from the new manager.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       datastoreName   The name of the datastore to restore.
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {String}       sourcePath      The database file to restore from (relative to the current directory).
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   * @param  {Function}     done            Callback
+   *               @param {Error?}
+   *               @param {Dictionary?} report  { sourcePath, databasePath }
+   * - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   */
+  restore: function (datastoreName, sourcePath, done) {
+    const dsEntry = registeredDsEntries[datastoreName]
+
+    if (!dsEntry) {
+      return done(
+        new Error(
+          `Consistency violation: Cannot do that with datastore (${datastoreName}) because no matching datastore entry is registered in this adapter! This is usually due to a race condition (e.g. a lifecycle callback still running after the ORM has been torn down), or it could be due to a bug in this adapter. (If you get stumped, reach out at http://sailsjs.com/support.)`
+        )
+      )
+    }
+
+    if (typeof sourcePath !== 'string' || !sourcePath) {
+      return done(
+        new Error(
+          'Cannot restore the database: `sourcePath` should be the path of the database file to restore from.'
+        )
+      )
+    }
+
+    const manager = dsEntry.manager
+
+    // Wait for any transaction in progress to finish, and keep the writer
+    // until the old manager is closed.
+    manager.leaseConnection({ readonly: false }, (err, connection) => {
+      if (err) {
+        return done(err)
+      }
+
+      // Rather than turn away anyone who is waiting for a connection when the
+      // old manager is closed, hold on to them for the new one.
+      manager.holdLeases()
+
+      WET_MACHINES.restoreDatabase({
+        manager,
+        sourcePath: path.resolve(sourcePath)
+      }).switch({
+        error: function (err) {
+          return reopen(() => done(err))
+        },
+        badSource: function (err) {
+          return reopen(() => done(err))
+        },
+        success: function (report) {
+          return reopen((err) => done(err, report))
+        }
+      })
+
+      // Open a new manager for the datastore if the old one was closed,
+      // or else hand the writer (and anyone held for the new manager) back.
+      // (If closing the old manager failed partway, its pool is closed too.)
+      function reopen(cb) {
+        if (manager.open) {
+          manager.releaseHeldLeases()
+          connection.releaseLease()
+          return cb()
+        }
+
+        WET_MACHINES.createManager({
+          connectionString: dsEntry.config.url,
+          meta: getManagerMeta(dsEntry.config)
+        }).switch({
+          error: function (err) {
+            const reopenError = new Error(
+              `Could not reopen the datastore (${datastoreName}) after restoring it:\n\`\`\`\n` +
+                err.stack +
+                '\n```'
+            )
+            manager
+              .takeHeldLeases()
+              .forEach((heldLease) => heldLease.cb(reopenError))
+            return cb(reopenError)
+          },
+          success: function (report) {
+            dsEntry.manager = report.manager
+            manager
+              .takeHeldLeases()
+              .forEach((heldLease) =>
+                report.manager.leaseConnection(heldLease.options, heldLease.cb)
+              )
+            return cb()
+          }
+        })
+      }
+    })
   }
 }
+
+// The datastore config, minus the keys that aren't options for `createManager()`.
+function getManagerMeta(dsConfig) {
+  return Object.fromEntries(
+    Object.entries(dsConfig).filter(
+      ([key]) =>
+        !['adapter', 'url', 'identity', 'schema', 'tables'].includes(key)
+    )
+  )
+}
@@ -0,0 +1,73 @@
+const path = require('path')
+const Machine = require('machine')
+
+/**
+ * buildMigrationAdapterMethod()
+ *
+ * Build an adapter method for the versioned migrations subsystem (e.g. `migrateLatest`)
+ * from a machine definition and available state.
+ *
+ * > Migrations are configured per datastore, e.g.:
+ * > ```
+ * > migrations: { directory: 'db/migrations', tableName: 'migrations' }
+ * > ```
+ *
+ * @param {Object} machineDef - The machine definition (dry)
+ * @param {Object} registeredDsEntries - Registered datastore entries
+ * @returns {Function} - The adapter method
+ */
+module.exports = function buildMigrationAdapterMethod(
+  machineDef,
+  registeredDsEntries
+) {
+  // Build wet machine.
+  const performMigration = Machine.build(machineDef)
+
+  // Return function that will be the adapter method.
+  return function (datastoreName, meta, done) {
+    // Look up the datastore entry (to get the manager).
+    const dsEntry = registeredDsEntries[datastoreName]
+
+    // Sanity check:
+    if (!dsEntry) {
+      return done(
+        new Error(
+          `Consistency violation: Cannot do that with datastore (${datastoreName}) because no matching datastore entry is registered in this adapter! This is usually due to a race condition (e.g. a lifecycle callback still running after the ORM has been torn down), or it could be due to a bug in this adapter. (If you get stumped, reach out at http://sailsjs.com/support.)`
+        )
+      )
+    }
+
+    const migrationsConfig = dsEntry.config.migrations || {}
+
+    // Migrations get the writer to themselves, so that no other writes end up
+    // in (and are rolled back with) their transaction meanwhile.
+    const manager = dsEntry.manager
+    if (typeof manager.leaseConnection !== 'function') {
+      return migrate(manager, () => {})
+    }
+    manager.leaseConnection({ readonly: false }, (err, connection) => {
+      if (err) {
+        return done(err)
+      }
+      migrate(connection, () => connection.releaseLease())
+    })
+
+    function migrate(connection, release) {
+      performMigration({
+        connection,
+        directory: path.resolve(migrationsConfig.directory || 'db/migrations'),
+        tableName: migrationsConfig.tableName || 'migrations',
+        meta: meta || {}
+      }).switch({
+        error: function (err) {
+          release()
+          return done(err)
+        },
+        success: function (report) {
+          release()
+          return done(null, report)
+        }
+      })
+    }
+  }
+}
@@ -1,4 +1,10 @@
 const Machine = require('machine')
+const READ_MACHINES = require('./machines/private/read-machines')
+const retryWhenBusy = require('./machines/private/retry-when-busy')
+
+// A copy of the registered models that can be sent to query workers, along with
+// the model entries it was taken from (see `getWorkerModels()`).
+let workerModels = { source: [], models: null }
 
 /**
  * buildStdAdapterMethod()
@@ -19,6 +25,11 @@ module.exports = function buildStdAdapterMethod(
   // Build wet machine.
   const performQuery = Machine.build(machineDef)
 
+  // Read machines can also run in a query worker, which knows them by name.
+  const readMachineName = Object.keys(READ_MACHINES).find(
+    (machineName) => READ_MACHINES[machineName] === machineDef
+  )
+
   // Return function that will be the adapter method.
   return function (datastoreName, s3q, done) {
     // Look up the datastore entry (to get the manager).
@@ -33,37 +44,139 @@ module.exports = function buildStdAdapterMethod(
       )
     }
 
-    // For SQLite, we don't need to obtain a separate connection. The manager is the connection.
-    const connection = dsEntry.manager
+    // What the query is for, to report along with each statement it runs
+    // (see `instrument-connection.js`).
+    const queryContext = {
+      method: s3q.method,
+      model: Object.keys(registeredDryModels).find(
+        (identity) =>
+          registeredDryModels[identity].tableName === s3q.using &&
+          registeredDryModels[identity].datastore === datastoreName
+      )
+    }
+
+    // Queries that are part of a transaction run on the connection it was
+    // begun on. (Should one fail because the database is busy, it is up to
+    // whoever runs the transaction to retry the whole thing.)
+    const leasedConnection = s3q.meta && s3q.meta.leasedConnection
+    if (leasedConnection) {
+      return runQuery(leasedConnection, () => {}, done)
+    }
+
+    // Other queries are tried again if the database is busy or locked (e.g.
+    // by another process), as one that fails that way has had no effect.
+    const manager = dsEntry.manager
+    retryWhenBusy(manager.retryOptions, queryContext, dispatch, done)
+
+    function dispatch(cb) {
+      // With `workerThreads`, reads run off the main thread altogether (unless
+      // their query plan is wanted here, with `meta.explain`).
+      const readonly = machineDef.sideEffects === 'cacheable'
+      if (
+        readonly &&
+        readMachineName &&
+        typeof manager.runInWorker === 'function' &&
+        !(s3q.meta && s3q.meta.explain)
+      ) {
+        return manager.runInWorker(
+          readMachineName,
+          s3q,
+          getWorkerModels(registeredDryModels),
+          queryContext,
+          cb
+        )
+      }
 
-    // Build switch handlers based on the machine's defined exits
-    const switchHandlers = {
-      error: function (err) {
-        return done(err)
-      },
-      success: function (result) {
-        return done(null, result)
+      // Otherwise, reads go to one of the read-only connections, and writes wait
+      // for the writer. Without a read pool, reads share the writer, as they can
+      // never interleave with other queries anyway.
+      if (
+        typeof manager.leaseConnection !== 'function' ||
+        (readonly && manager.getPoolStats().readers === 0)
+      ) {
+        return runQuery(manager, () => {}, cb)
       }
+
+      manager.leaseConnection({ readonly }, (err, connection) => {
+        if (err) {
+          return cb(err)
+        }
+        let released = false
+        runQuery(
+          connection,
+          () => {
+            if (!released) {
+              released = true
+              connection.releaseLease()
+            }
+          },
+          cb
+        )
+      })
     }
 
-    // Only add notUnique handler if the machine defines this exit
-    if (machineDef.exits.notUnique) {
-      switchHandlers.notUnique = function (errInfo) {
-        // Create error in same format as sails-postgresql
-        const e = new Error(errInfo.message || 'Not unique')
-        e.code = 'E_UNIQUE'
-        if (errInfo.footprint) {
-          e.footprint = errInfo.footprint
+    function runQuery(connection, release, done) {
+      // Build switch handlers based on the machine's defined exits
+      const switchHandlers = {
+        error: function (err) {
+          release()
+          return done(err)
+        },
+        success: function (result) {
+          release()
+          return done(null, result)
+        }
+      }
+
+      // Only add notUnique handler if the machine defines this exit
+      if (machineDef.exits.notUnique) {
+        switchHandlers.notUnique = function (errInfo) {
+          release()
+          // Create error in same format as sails-postgresql
+          const e = new Error(errInfo.message || 'Not unique')
+          e.code = 'E_UNIQUE'
+          if (errInfo.footprint) {
+            e.footprint = errInfo.footprint
+          }
+          return done(e)
         }
-        return done(e)
+      }
+
+      // Perform the query (letting the connection know what for, meanwhile)
+      const previousContext = connection.queryContext
+      connection.queryContext = queryContext
+      try {
+        performQuery({
+          query: s3q,
+          connection: connection,
+          dryOrm: { models: registeredDryModels }
+        }).switch(switchHandlers)
+      } catch (err) {
+        release()
+        throw err
+      } finally {
+        connection.queryContext = previousContext
       }
     }
+  }
+}
 
-    // Perform the query
-    performQuery({
-      query: s3q,
-      connection: connection,
-      dryOrm: { models: registeredDryModels }
-    }).switch(switchHandlers)
+/**
+ * Model definitions can contain functions (e.g. custom validations), which
+ * cannot be sent to a worker thread, and are not needed to read records. So
+ * workers get a plain copy, which is only taken again once a model is
+ * registered or torn down.
+ */
+function getWorkerModels(registeredDryModels) {
+  const source = Object.values(registeredDryModels)
+  const isStale =
+    source.length !== workerModels.source.length ||
+    source.some((dryModel, i) => dryModel !== workerModels.source[i])
+  if (isStale) {
+    workerModels = {
+      source,
+      models: JSON.parse(JSON.stringify(registeredDryModels))
+    }
   }
+  return workerModels.models
 }
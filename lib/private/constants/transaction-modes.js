@@ -0,0 +1,7 @@
+/**
+ * The modes SQLite supports for `BEGIN …` (i.e. when to take the write lock).
+ *
+ * @constant
+ * @type {Array}
+ */
+module.exports = ['DEFERRED', 'IMMEDIATE', 'EXCLUSIVE']
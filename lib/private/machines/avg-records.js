@@ -1,10 +1,13 @@
 const buildSqliteWhereClause = require('./private/build-sqlite-where-clause')
+const explainQuery = require('./private/explain-query')
 
 module.exports = {
   friendlyName: 'Avg (records)',
 
   description: 'Return the Average of the records matched by the query.',
 
+  sideEffects: 'cacheable',
+
   inputs: {
     query: require('../constants/query.input'),
     connection: require('../constants/connection.input'),
@@ -59,12 +62,17 @@ module.exports = {
 
     try {
       let avgQuery = `SELECT COALESCE(AVG(\`${numericFieldName}\`), 0) as average FROM \`${tableName}\``
-      if (whereClause) {
-        avgQuery += ` WHERE ${whereClause}`
+      if (whereClause.sql) {
+        avgQuery += ` WHERE ${whereClause.sql}`
       }
 
-      const stmt = db.prepare(avgQuery)
-      const result = stmt.get()
+      const stmt = db.getPreparedStatement
+        ? db.getPreparedStatement(avgQuery)
+        : db.prepare(avgQuery)
+      if (s3q.meta && s3q.meta.explain) {
+        explainQuery(db, avgQuery, whereClause.bindings, s3q.meta.explain)
+      }
+      const result = stmt.get(...whereClause.bindings)
 
       return exits.success(result.average)
     } catch (err) {
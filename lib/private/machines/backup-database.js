@@ -0,0 +1,75 @@
+// The number of pages copied per step when `progress` doesn't say otherwise.
+// (Between steps, other queries get a chance to run.)
+const DEFAULT_PAGES_PER_STEP = 100
+
+module.exports = {
+  friendlyName: 'Backup database',
+
+  description:
+    'Copy the database to another file, while it stays in use (an online backup).',
+
+  extendedDescription:
+    'Unlike copying the database file, this also includes changes that are still in the WAL file, and never captures a half-written transaction.',
+
+  moreInfoUrl:
+    'https://github.com/WiseLibs/better-sqlite3/blob/master/docs/api.md#backupdestination-options---promise',
+
+  inputs: {
+    connection: require('../constants/connection.input'),
+    destinationPath: {
+      description: 'The absolute path of the file to write the backup to.',
+      extendedDescription:
+        'Missing directories are created. An existing file is overwritten.',
+      example: '/var/backups/my-app.sqlite',
+      required: true
+    },
+    progress: {
+      description:
+        'A function to call after each step, with `{ totalPages, remainingPages }`.',
+      extendedDescription:
+        'It may return the number of pages to copy in the next step (or 0 to finish the rest in one go).',
+      example: '->'
+    }
+  },
+
+  exits: {
+    success: {
+      outputFriendlyName: 'Report',
+      outputDescription:
+        'The `destinationPath` the backup was written to, and its `totalPages`.',
+      outputExample: '==='
+    }
+  },
+
+  fn: async function (inputs, exits) {
+    const fs = require('fs')
+    const path = require('path')
+    const db = inputs.connection
+
+    try {
+      fs.mkdirSync(path.dirname(inputs.destinationPath), { recursive: true })
+
+      const { totalPages } = await db.backup(inputs.destinationPath, {
+        progress: (info) => {
+          const pagesPerStep = inputs.progress
+            ? inputs.progress(info)
+            : undefined
+          return Number.isInteger(pagesPerStep)
+            ? pagesPerStep
+            : DEFAULT_PAGES_PER_STEP
+        }
+      })
+
+      return exits.success({
+        destinationPath: inputs.destinationPath,
+        totalPages
+      })
+    } catch (err) {
+      return exits.error(
+        new Error(
+          `Could not back up the database to \`${inputs.destinationPath}\`: ${err.message}`
+        )
+      )
+    }
+  }
+}
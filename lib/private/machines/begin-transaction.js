@@ -2,16 +2,24 @@
  * Module dependencies
  */
 
+const openTransaction = require('./private/open-transaction')
+const retryWhenBusy = require('./private/retry-when-busy')
+
 /**
  * Begin Transaction
  *
  * Begin a new database transaction on the provided connection.
+ *
+ * > If the connection is already in a transaction, this begins a savepoint
+ * > nested inside it instead (see `open-transaction.js`). `meta.transactionMode`
+ * > (DEFERRED, IMMEDIATE or EXCLUSIVE) overrides the datastore's `transactionMode`.
  */
 
 module.exports = {
   friendlyName: 'Begin transaction',
 
-  description: 'Begin a new database transaction on the provided connection.',
+  description:
+    'Begin a new database transaction on the provided connection (or a nested one, if it is already in a transaction).',
 
   moreInfoUrl:
     'https://github.com/WiseLibs/better-sqlite3/blob/master/docs/api.md#transactionfunction---function',
@@ -34,18 +42,20 @@ module.exports = {
     const db = inputs.connection
     const meta = inputs.meta || {}
 
-    try {
-      if (db.inTransaction) {
-        return exits.error(
-          new Error('Transaction is already active on this connection.')
-        )
-      }
-
-      db.prepare('BEGIN TRANSACTION').run()
-
-      return exits.success()
-    } catch (err) {
-      return exits.error(err)
-    }
+    // Taking the write lock (right away, for IMMEDIATE and EXCLUSIVE) fails
+    // if another process keeps it for longer than `busy_timeout`, so try again.
+    retryWhenBusy(
+      db.retryOptions,
+      { method: 'beginTransaction' },
+      (cb) => {
+        try {
+          openTransaction(db, meta.transactionMode || db.transactionMode)
+          return cb()
+        } catch (err) {
+          return cb(err)
+        }
+      },
+      (err) => (err ? exits.error(err) : exits.success())
+    )
   }
 }
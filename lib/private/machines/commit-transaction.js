@@ -2,6 +2,8 @@
  * Module dependencies
  */
 
+const retryWhenBusy = require('./private/retry-when-busy')
+
 /**
  * Commit Transaction
  *
@@ -33,18 +35,32 @@ module.exports = {
 
   fn: function commitTransaction(inputs, exits) {
     const db = inputs.connection
-    const meta = inputs.meta || {}
-
-    try {
-      if (!db.inTransaction) {
-        return exits.error(new Error('No active transaction to commit.'))
-      }
 
-      db.prepare('COMMIT TRANSACTION').run()
-
-      return exits.success()
-    } catch (err) {
-      return exits.error(err)
+    if (!db.inTransaction) {
+      return exits.error(new Error('No active transaction to commit.'))
     }
+
+    // A COMMIT that fails because the database is busy leaves the transaction
+    // open, so it can simply be tried again.
+    retryWhenBusy(
+      db.retryOptions,
+      { method: 'commitTransaction' },
+      (cb) => {
+        try {
+          // Finish the innermost transaction (which may be a savepoint nested in
+          // another one), unless it was begun some other way.
+          const transactions = db.openTransactions || []
+          if (transactions.length > 0) {
+            transactions[transactions.length - 1].commit()
+          } else {
+            db.prepare('COMMIT TRANSACTION').run()
+          }
+          return cb()
+        } catch (err) {
+          return cb(err)
+        }
+      },
+      (err) => (err ? exits.error(err) : exits.success())
+    )
   }
 }
@@ -1,10 +1,13 @@
 const buildSqliteWhereClause = require('./private/build-sqlite-where-clause')
+const explainQuery = require('./private/explain-query')
 
 module.exports = {
   friendlyName: 'Count (records)',
 
   description: 'Return the count of the records matched by the query.',
 
+  sideEffects: 'cacheable',
+
   inputs: {
     query: require('../constants/query.input'),
     connection: require('../constants/connection.input'),
@@ -63,12 +66,17 @@ module.exports = {
 
     try {
       let countQuery = `SELECT COUNT(*) as count FROM \`${tableName}\``
-      if (whereClause) {
-        countQuery += ` WHERE ${whereClause}`
+      if (whereClause.sql) {
+        countQuery += ` WHERE ${whereClause.sql}`
       }
 
-      const stmt = db.prepare(countQuery)
-      const result = stmt.get()
+      const stmt = db.getPreparedStatement
+        ? db.getPreparedStatement(countQuery)
+        : db.prepare(countQuery)
+      if (s3q.meta && s3q.meta.explain) {
+        explainQuery(db, countQuery, whereClause.bindings, s3q.meta.explain)
+      }
+      const result = stmt.get(...whereClause.bindings)
 
       return exits.success(result.count)
     } catch (err) {
@@ -106,40 +106,41 @@ module.exports = {
         columnNames.map((col) => record[col])
       )
 
-      // Use transaction for atomic batch insert - recommended for performance
-      let insertInfo
-      if (db.runInTransaction) {
-        insertInfo = db.runInTransaction(() => {
-          const stmt = db.getPreparedStatement
-            ? db.getPreparedStatement(sql)
-            : db.prepare(sql)
-          return stmt.run(allValues)
-        })
-      } else {
-        // Fallback transaction approach
-        const transaction = db.transaction(() => {
-          const stmt = db.prepare(sql)
-          return stmt.run(allValues)
-        })
-        insertInfo = transaction()
+      // For batch inserts, we need to calculate the range of inserted IDs
+      // SQLite auto-increments IDs sequentially in a transaction
+      const recordCount = s3q.newRecords.length
+      const selectSql = `SELECT * FROM \`${tableName}\` WHERE rowid >= ? AND rowid <= ? ORDER BY rowid`
+
+      // Use transaction for atomic batch insert - recommended for performance.
+      // The inserted records are fetched (if asked to) in the same transaction,
+      // so that the query either has its full effect or none at all (and can
+      // be retried, see `retry-when-busy.js`).
+      const insertAndFetch = () => {
+        const stmt = db.getPreparedStatement
+          ? db.getPreparedStatement(sql)
+          : db.prepare(sql)
+        const insertInfo = stmt.run(allValues)
+        if (!isFetchEnabled) {
+          return undefined
+        }
+
+        // Fetch the inserted records using the ID range
+        const lastInsertRowid = insertInfo.lastInsertRowid
+        const firstInsertRowid = lastInsertRowid - recordCount + 1
+        const selectStmt = db.getPreparedStatement
+          ? db.getPreparedStatement(selectSql)
+          : db.prepare(selectSql)
+        return selectStmt.all(firstInsertRowid, lastInsertRowid)
       }
+      const phRecords = db.runInTransaction
+        ? db.runInTransaction(insertAndFetch)
+        : db.transaction(insertAndFetch)()
 
       // If `fetch` is NOT enabled, we're done.
       if (!isFetchEnabled) {
         return exits.success()
       }
 
-      // For batch inserts, we need to calculate the range of inserted IDs
-      // SQLite auto-increments IDs sequentially in a transaction
-      const lastInsertRowid = insertInfo.lastInsertRowid
-      const recordCount = s3q.newRecords.length
-      const firstInsertRowid = lastInsertRowid - recordCount + 1
-
-      // Fetch the inserted records using the ID range
-      const selectSql = `SELECT * FROM \`${tableName}\` WHERE rowid >= ? AND rowid <= ? ORDER BY rowid`
-      const selectStmt = db.prepare(selectSql)
-      const phRecords = selectStmt.all(firstInsertRowid, lastInsertRowid)
-
       if (phRecords.length !== recordCount) {
         throw new Error(
           `Consistency violation: Expected ${recordCount} records but retrieved ${phRecords.length}`
@@ -153,7 +154,12 @@ module.exports = {
 
       return exits.success(phRecords)
     } catch (err) {
-      err = processNativeError(err)
+      err = processNativeError(err, {
+        db,
+        tableName,
+        WLModel,
+        records: s3q.newRecords
+      })
       if (err.footprint && err.footprint.identity === 'notUnique') {
         return exits.notUnique(err)
       }
@@ -1,3 +1,36 @@
+const buildStatementCache = require('./private/build-statement-cache')
+const buildConnectionPool = require('./private/build-connection-pool')
+const buildWorkerPool = require('./private/build-worker-pool')
+const scheduleBackups = require('./private/schedule-backups')
+const scheduleWalCheckpoints = require('./private/schedule-wal-checkpoints')
+const buildDiagnostics = require('./private/build-diagnostics')
+const scheduleMaintenance = require('./private/schedule-maintenance')
+const instrumentConnection = require('./private/instrument-connection')
+const openTransaction = require('./private/open-transaction')
+const retryWhenBusy = require('./private/retry-when-busy')
+const TRANSACTION_MODES = require('../constants/transaction-modes')
+
+// The number of prepared statements kept per datastore when no
+// `statementCacheSize` is configured.
+const DEFAULT_STATEMENT_CACHE_SIZE = 200
+
+// How queries are retried when the database is busy or locked, unless the
+// datastore's `retry` config says otherwise (see `retry-when-busy.js`).
+const DEFAULT_RETRY = { maxRetries: 5, baseDelayMs: 20, maxDelayMs: 1000 }
+
+// The number of read-only connections opened alongside the writer when no
+// `readPoolSize` is configured.
+const DEFAULT_READ_POOL_SIZE = 4
+
+// The pragmas that also apply to read-only connections.
+const READER_PRAGMAS = ['cache_size', 'mmap_size', 'busy_timeout', 'temp_store']
+
+// The pragmas that can only be changed before the database file is written to.
+const FILE_FORMAT_PRAGMAS = ['page_size', 'auto_vacuum']
+
+// The modes SQLite supports for `PRAGMA wal_checkpoint(…)`.
+const WAL_CHECKPOINT_MODES = ['PASSIVE', 'FULL', 'RESTART', 'TRUNCATE']
+
 module.exports = {
   friendlyName: 'Create manager',
 
@@ -31,8 +64,15 @@ module.exports = {
   fn: function ({ connectionString, meta }, exits) {
     const Database = require('better-sqlite3')
     const path = require('path')
+    const os = require('os')
     const fs = require('fs')
 
+    // The connections (and query workers) opened so far, to close again if
+    // something below fails.
+    let db = null
+    const readers = []
+    let workerPool = null
+
     try {
       // Ensure the directory exists for the database file
       const dbDir = path.dirname(connectionString)
@@ -56,7 +96,7 @@ module.exports = {
         ...meta
       }
 
-      const db = new Database(connectionString, dbOptions)
+      db = new Database(connectionString, dbOptions)
 
       // Apply recommended performance pragmas for optimal SQLite performance
       const defaultPragmas = {
@@ -85,19 +125,98 @@ module.exports = {
       // Merge with user-provided pragmas
       const pragmas = { ...defaultPragmas, ...(meta?.pragmas || {}) }
 
-      // Apply pragmas with error handling
-      Object.entries(pragmas).forEach(([key, value]) => {
-        if (value !== false && value !== null && value !== undefined) {
-          try {
-            db.pragma(`${key} = ${value}`)
-          } catch (pragmaError) {
-            console.warn(
-              `Warning: Could not set pragma ${key} = ${value}:`,
-              pragmaError.message
+      // Apply pragmas with error handling.  The ones that shape the file are
+      // applied first, since they only take effect on a new database (and
+      // switching to WAL mode already writes its first page).
+      Object.entries(pragmas)
+        .sort(
+          ([a], [b]) =>
+            FILE_FORMAT_PRAGMAS.includes(b) - FILE_FORMAT_PRAGMAS.includes(a)
+        )
+        .forEach(([key, value]) => {
+          if (value !== false && value !== null && value !== undefined) {
+            try {
+              db.pragma(`${key} = ${value}`)
+            } catch (pragmaError) {
+              console.warn(
+                `Warning: Could not set pragma ${key} = ${value}:`,
+                pragmaError.message
+              )
+            }
+          }
+        })
+
+      // Let SQLite checkpoint the WAL file on commit once it reaches
+      // `wal.autocheckpoint` pages (0 turns that off).
+      if (meta?.wal?.autocheckpoint !== undefined) {
+        if (
+          !Number.isInteger(meta.wal.autocheckpoint) ||
+          meta.wal.autocheckpoint < 0
+        ) {
+          throw new Error(
+            'Invalid `wal` config: `autocheckpoint` should be a number of pages (or 0).'
+          )
+        }
+        db.pragma(`wal_autocheckpoint = ${meta.wal.autocheckpoint}`)
+      }
+      if (
+        meta?.wal?.checkpointMode !== undefined &&
+        !WAL_CHECKPOINT_MODES.includes(meta.wal.checkpointMode)
+      ) {
+        throw new Error(
+          `Invalid \`wal\` config: \`checkpointMode\` should be one of ${WAL_CHECKPOINT_MODES.join(', ')}.`
+        )
+      }
+
+      // The mode for transactions begun with `beginTransaction()`, unless
+      // its `meta` says otherwise (see `open-transaction.js`).
+      if (meta?.transactionMode !== undefined) {
+        const transactionMode = String(meta.transactionMode).toUpperCase()
+        if (!TRANSACTION_MODES.includes(transactionMode)) {
+          throw new Error(
+            `Invalid \`transactionMode\` config: should be one of ${TRANSACTION_MODES.join(', ')}.`
+          )
+        }
+        db.transactionMode = transactionMode
+      }
+
+      // Retry queries (and transactions) that fail because the database is
+      // busy or locked, e.g. by another process, unless `retry: false`.
+      const retry = meta?.retry === undefined ? {} : meta.retry
+      if (retry !== false) {
+        if (typeof retry !== 'object' || retry === null) {
+          throw new Error(
+            'Invalid `retry` config: should be `false`, or `{ maxRetries, baseDelayMs, maxDelayMs, onRetry }`.'
+          )
+        }
+        for (const option of ['maxRetries', 'baseDelayMs', 'maxDelayMs']) {
+          if (
+            retry[option] !== undefined &&
+            !(Number.isFinite(retry[option]) && retry[option] >= 0)
+          ) {
+            throw new Error(
+              `Invalid \`retry\` config: \`${option}\` should be a number (0 or more).`
             )
           }
         }
-      })
+        if (
+          retry.onRetry !== undefined &&
+          typeof retry.onRetry !== 'function'
+        ) {
+          throw new Error(
+            'Invalid `retry` config: `onRetry` should be a function, called with `{ attempt, delayMs, error, method, model }` before each retry.'
+          )
+        }
+      }
+      // (Retries stop once SQLite has waited out `busy_timeout`; see `retryWhenBusy()`.)
+      db.retryOptions =
+        retry === false
+          ? null
+          : {
+              ...DEFAULT_RETRY,
+              ...retry,
+              busyTimeoutMs: db.pragma('busy_timeout', { simple: true })
+            }
 
       // Run ANALYZE to update query planner statistics
       // This is especially important for new databases
@@ -112,15 +231,190 @@ module.exports = {
       }
 
       // Prepare commonly used statements for better performance
-      // These will be cached and reused throughout the application lifecycle
-      const preparedStatements = new Map()
+      // These are cached (up to `statementCacheSize`, least recently used first out)
+      // and reused throughout the application lifecycle
+      const statementCacheSize = Number.isInteger(meta?.statementCacheSize)
+        ? meta.statementCacheSize
+        : DEFAULT_STATEMENT_CACHE_SIZE
+      const preparedStatements = buildStatementCache(statementCacheSize)
 
       // Add helper method to get or create prepared statements
       db.getPreparedStatement = function (sql) {
-        if (!preparedStatements.has(sql)) {
-          preparedStatements.set(sql, this.prepare(sql))
+        return preparedStatements.get(sql, (sqlToPrepare) =>
+          this.prepare(sqlToPrepare)
+        )
+      }
+
+      // Report every query to `onQuery`, and log the slow ones, if asked to.
+      const onQuery = meta?.onQuery
+      const slowQueryThresholdMs = meta?.slowQueryThresholdMs
+      if (onQuery !== undefined && typeof onQuery !== 'function') {
+        throw new Error(
+          '`onQuery` should be a function, called with `{ sql, bindings, durationMs, rows, method, model }` after each query.'
+        )
+      }
+      if (
+        slowQueryThresholdMs !== undefined &&
+        !(typeof slowQueryThresholdMs === 'number' && slowQueryThresholdMs >= 0)
+      ) {
+        throw new Error(
+          '`slowQueryThresholdMs` should be a number of milliseconds.'
+        )
+      }
+      const reportQuery =
+        onQuery || slowQueryThresholdMs !== undefined
+          ? function (query) {
+              if (
+                slowQueryThresholdMs !== undefined &&
+                query.durationMs >= slowQueryThresholdMs
+              ) {
+                console.warn(
+                  `Warning: Slow query (${query.durationMs.toFixed(1)}ms): ${query.sql}`,
+                  {
+                    bindings: query.bindings,
+                    method: query.method,
+                    model: query.model,
+                    plan: query.plan
+                  }
+                )
+              }
+              if (onQuery) {
+                try {
+                  onQuery(query)
+                } catch (err) {
+                  console.warn(
+                    'Warning: `onQuery` threw an error:',
+                    err.message
+                  )
+                }
+              }
+            }
+          : null
+
+      // Open the read-only connections. (An in-memory database only exists
+      // within its own connection, so it cannot have any.)
+      const readPoolSize = Number.isInteger(meta?.readPoolSize)
+        ? meta.readPoolSize
+        : DEFAULT_READ_POOL_SIZE
+      if (!db.memory && !db.readonly) {
+        for (let i = 0; i < readPoolSize; i++) {
+          const reader = new Database(connectionString, {
+            readonly: true,
+            fileMustExist: true,
+            timeout: dbOptions.timeout,
+            verbose: dbOptions.verbose
+          })
+          READER_PRAGMAS.forEach((key) => {
+            if (pragmas[key] !== false && pragmas[key] !== undefined) {
+              try {
+                reader.pragma(`${key} = ${pragmas[key]}`)
+              } catch (pragmaError) {
+                console.warn(
+                  `Warning: Could not set pragma ${key} = ${pragmas[key]} on a read-only connection:`,
+                  pragmaError.message
+                )
+              }
+            }
+          })
+          const readerStatements = buildStatementCache(statementCacheSize)
+          reader.getPreparedStatement = function (sql) {
+            return readerStatements.get(sql, (sqlToPrepare) =>
+              this.prepare(sqlToPrepare)
+            )
+          }
+          reader.closeGracefully = function () {
+            readerStatements.clear()
+            if (this.open) {
+              this.close()
+            }
+          }
+          readers.push(reader)
+        }
+      }
+
+      // Start the query workers, if asked to.
+      if (meta?.workerThreads) {
+        if (db.memory) {
+          console.warn(
+            'Warning: `workerThreads` is ignored for an in-memory database, which cannot be shared with worker threads.'
+          )
+        } else {
+          workerPool = buildWorkerPool({
+            size:
+              meta.workerThreads.size ||
+              Math.max(1, os.availableParallelism() - 1),
+            connectionString: path.resolve(connectionString),
+            pragmas: Object.fromEntries(
+              READER_PRAGMAS.filter(
+                (key) => pragmas[key] !== false && pragmas[key] !== undefined
+              ).map((key) => [key, pragmas[key]])
+            ),
+            statementCacheSize,
+            timeout: dbOptions.timeout,
+            slowQueryThresholdMs,
+            reportQuery
+          })
         }
-        return preparedStatements.get(sql)
+      }
+
+      if (reportQuery) {
+        ;[db, ...readers].forEach((connection) =>
+          instrumentConnection(connection, slowQueryThresholdMs, reportQuery)
+        )
+      }
+
+      // Hand out the writer (one caller at a time) and the readers, failing
+      // anyone who waits longer than `acquireTimeout` for one (by default, as
+      // long as SQLite waits for a lock: `busy_timeout`, or `timeout`).
+      const acquireTimeout =
+        meta?.acquireTimeout === undefined
+          ? db.pragma('busy_timeout', { simple: true })
+          : meta.acquireTimeout
+      if (!(typeof acquireTimeout === 'number' && acquireTimeout >= 0)) {
+        throw new Error(
+          'Invalid `acquireTimeout` config: should be a number of milliseconds (0 or more).'
+        )
+      }
+      const pool = buildConnectionPool(db, readers, acquireTimeout)
+      db.leaseConnection = function (options, cb) {
+        return pool.lease(options, cb)
+      }
+      // Let `restore` keep anyone waiting for a connection while it swaps the
+      // database file, to hand them to the new manager (see `buildConnectionPool()`).
+      db.holdLeases = function () {
+        pool.hold()
+      }
+      db.takeHeldLeases = function () {
+        return pool.takeHeld()
+      }
+      db.releaseHeldLeases = function () {
+        pool.reopen()
+      }
+      db.getPoolStats = function () {
+        return {
+          ...pool.getStats(),
+          ...(workerPool ? workerPool.getStats() : { workers: 0 })
+        }
+      }
+
+      // Add method to run a read query in one of the query workers (see `read-machines.js`)
+      if (workerPool) {
+        db.runInWorker = function (machineName, query, models, context, cb) {
+          return workerPool.run(machineName, query, models, context, cb)
+        }
+      }
+      ;[db, ...readers].forEach((connection) => {
+        connection.releaseLease = function () {
+          pool.release(connection)
+        }
+        connection.holdsLease = function () {
+          return pool.holdsLease(connection)
+        }
+      })
+
+      // Add method to report how well the statement cache is doing
+      db.getStatementCacheStats = function () {
+        return preparedStatements.getStats()
       }
 
       // Add transaction helper methods for better performance
@@ -128,15 +422,167 @@ module.exports = {
         return this.transaction(fn)()
       }
 
-      // Add method to optimize database
+      // And an async counterpart, which takes the writer for the length of the
+      // transaction, so that nobody else's writes end up in it. Called by
+      // whoever already holds the writer (e.g. inside a
+      // `sails.getDatastore().transaction()` block), it runs right away instead,
+      // nesting (as a savepoint) inside any transaction they have open. (Don't
+      // run two at once that way: they must finish innermost first.) A
+      // transaction of its own is rolled back and run again, from the start, if
+      // the database is busy or locked (so `fn` may be called more than once).
+      db.runInTransactionAsync = function (fn) {
+        const connection = this
+        if (connection.holdsLease()) {
+          return run()
+        }
+
+        return new Promise((resolve, reject) => {
+          connection.leaseConnection({ readonly: false }, (err, writer) => {
+            if (err) {
+              return reject(err)
+            }
+            Promise.resolve()
+              .then(() => {
+                if (writer.inTransaction) {
+                  throw new Error(
+                    'Cannot run a transaction: the connection is already in one that was begun without leasing it.'
+                  )
+                }
+                return run()
+              })
+              .finally(() => writer.releaseLease())
+              .then(resolve, reject)
+          })
+        })
+
+        function run() {
+          const retry = connection.inTransaction
+            ? null
+            : connection.retryOptions
+          return new Promise((resolve, reject) => {
+            retryWhenBusy(
+              retry,
+              { method: 'runInTransactionAsync' },
+              (cb) => attempt().then((result) => cb(null, result), cb),
+              (err, result) => (err ? reject(err) : resolve(result))
+            )
+          })
+        }
+
+        async function attempt() {
+          const transaction = openTransaction(
+            connection,
+            connection.transactionMode
+          )
+          let result
+          try {
+            result = await fn(connection)
+            transaction.commit()
+          } catch (err) {
+            transaction.rollback()
+            throw err
+          }
+          return result
+        }
+      }
+
+      // Run the maintenance tasks on their own schedules, if configured
+      // (see `schedule-maintenance.js`), and let callers listen in with
+      // `db.maintenance.on('run', …)`.
+      const maintenance = scheduleMaintenance(db, meta?.maintenance)
+      db.maintenance = maintenance
+
+      // Add method to run every maintenance task right away
       db.optimize = function () {
-        this.exec('PRAGMA optimize')
-        this.exec('VACUUM')
-        this.exec('ANALYZE')
+        return ['optimize', 'analyze', 'incrementalVacuum'].map((taskName) =>
+          maintenance.runNow(taskName)
+        )
+      }
+
+      // Add methods to checkpoint the WAL file, and to report on it
+      let lastCheckpoint = null
+      db.checkpointWal = function (mode = 'PASSIVE') {
+        if (!WAL_CHECKPOINT_MODES.includes(mode)) {
+          throw new Error(
+            `Unknown WAL checkpoint mode \`${mode}\` (expected one of ${WAL_CHECKPOINT_MODES.join(', ')}).`
+          )
+        }
+        const { busy, log, checkpointed } = this.prepare(
+          `PRAGMA wal_checkpoint(${mode})`
+        ).get()
+        lastCheckpoint = {
+          mode,
+          busy: busy === 1,
+          walFrames: log,
+          checkpointedFrames: checkpointed,
+          at: new Date().toISOString()
+        }
+        return lastCheckpoint
+      }
+      db.getWalStatus = function () {
+        const walPath = this.memory ? null : `${this.name}-wal`
+        return {
+          enabled: this.pragma('journal_mode', { simple: true }) === 'wal',
+          walPath,
+          walSizeBytes:
+            walPath && fs.existsSync(walPath) ? fs.statSync(walPath).size : 0,
+          autocheckpoint: this.pragma('wal_autocheckpoint', { simple: true }),
+          lastCheckpoint
+        }
+      }
+
+      // Checkpoint the WAL file on a schedule, if configured.
+      const walCheckpoints = meta?.wal?.checkpointInterval
+        ? scheduleWalCheckpoints(db, meta.wal)
+        : null
+
+      // Take rotating backups, if configured.
+      const backupSchedule = meta?.backups
+        ? scheduleBackups(db, meta.backups)
+        : null
+      if (backupSchedule) {
+        db.runScheduledBackup = function () {
+          return backupSchedule.runNow()
+        }
       }
 
       // Add graceful cleanup method
-      db.closeGracefully = function () {
+      // (A scheduled backup that is being written is finished first, and query
+      // workers stop asynchronously: the returned promise resolves once the
+      // connection is closed and the workers are gone.)
+      db.closeGracefully = async function () {
+        // Stop the schedules, so nothing new starts. (Maintenance tasks and
+        // WAL checkpoints run synchronously, so none can be half done.)
+        const backupFinished = backupSchedule
+          ? backupSchedule.stop()
+          : Promise.resolve()
+        if (walCheckpoints) {
+          walCheckpoints.stop()
+        }
+        maintenance.stop()
+
+        // Turn away (or hold) anyone still waiting for a connection, and close the readers
+        // and query workers.
+        pool.close()
+        readers.forEach((reader) => reader.closeGracefully())
+        const workersStopped = workerPool
+          ? workerPool.close()
+          : Promise.resolve()
+
+        await backupFinished
+
+        // Leave an empty WAL file behind.
+        if (this.open && !this.memory && !this.readonly) {
+          try {
+            this.checkpointWal('TRUNCATE')
+          } catch (checkpointError) {
+            console.warn(
+              'Warning: Could not checkpoint the WAL file:',
+              checkpointError.message
+            )
+          }
+        }
+
         // Clear prepared statements - newer better-sqlite3 doesn't need explicit finalize
         preparedStatements.clear()
 
@@ -144,6 +590,8 @@ module.exports = {
         if (this.open) {
           this.close()
         }
+
+        await workersStopped
       }
 
       // Set up connection health check
@@ -156,6 +604,12 @@ module.exports = {
         }
       }
 
+      // Add method to report on the database in more detail (for health
+      // endpoints and alerting)
+      db.diagnostics = function () {
+        return buildDiagnostics(this, pragmas)
+      }
+
       return exits.success({
         manager: db,
         meta: {
@@ -166,6 +620,13 @@ module.exports = {
         }
       })
     } catch (error) {
+      if (workerPool) {
+        workerPool.close()
+      }
+      readers.forEach((reader) => reader.close())
+      if (db && db.open) {
+        db.close()
+      }
       return exits.error(
         new Error(`Failed to create SQLite database manager: ${error.message}`)
       )
@@ -83,21 +83,29 @@ module.exports = {
         ? db.getPreparedStatement(sql)
         : db.prepare(sql)
 
-      // Execute the INSERT statement within a transaction for consistency
-      const info = db.runInTransaction
-        ? db.runInTransaction(() => stmt.run(columnValues))
-        : stmt.run(columnValues)
+      // Fetch the newly created record (if asked to) in the same transaction as
+      // the INSERT, so that the query either has its full effect or none at all
+      // (and can be retried, see `retry-when-busy.js`).
+      const selectSql = `SELECT * FROM \`${tableName}\` WHERE rowid = ?`
+      const insertAndFetch = () => {
+        const info = stmt.run(columnValues)
+        if (!isFetchEnabled) {
+          return undefined
+        }
+        const selectStmt = db.getPreparedStatement
+          ? db.getPreparedStatement(selectSql)
+          : db.prepare(selectSql)
+        return selectStmt.get(info.lastInsertRowid)
+      }
+      const phRecord = db.runInTransaction
+        ? db.runInTransaction(insertAndFetch)
+        : insertAndFetch()
 
       // If `fetch` is NOT enabled, we're done.
       if (!isFetchEnabled) {
         return exits.success()
       }
 
-      // Otherwise, fetch the newly created record
-      const selectSql = `SELECT * FROM \`${tableName}\` WHERE rowid = ?`
-      const selectStmt = db.prepare(selectSql)
-      const phRecord = selectStmt.get(info.lastInsertRowid)
-
       if (!phRecord) {
         return exits.error(
           new Error(
@@ -116,7 +124,12 @@ module.exports = {
       // Send back the record
       return exits.success(phRecord)
     } catch (err) {
-      err = processNativeError(err)
+      err = processNativeError(err, {
+        db,
+        tableName,
+        WLModel,
+        records: [s3q.newRecord]
+      })
       if (err.footprint && err.footprint.identity === 'notUnique') {
         return exits.notUnique(err)
       }
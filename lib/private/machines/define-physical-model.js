@@ -1,9 +1,18 @@
+const buildCreateTableSql = require('./private/build-create-table-sql')
+const buildIndexDefinition = require('./private/build-index-definition')
+const syncFullTextSearch = require('./private/sync-full-text-search')
+const syncIndexes = require('./private/sync-indexes')
+const openTransaction = require('./private/open-transaction')
+
 module.exports = {
   friendlyName: 'Define (physical model)',
 
   description:
     'Define a physical model (i.e. SQLite table) with the specified characteristics, creating indexes as needed.',
 
+  extendedDescription:
+    'If the table already exists, its columns are left as-is (the `alter` auto-migration drops the table first, and puts its records back afterwards). Its indexes (including the full-text search index) are still created, recreated or dropped to match.',
+
   sideEffects: 'idempotent',
 
   inputs: {
@@ -14,6 +23,24 @@ module.exports = {
       required: true,
       example: '==='
     },
+    strict: {
+      description:
+        'Whether to make this a STRICT table (i.e. one that enforces column types).',
+      example: false,
+      defaultsTo: false
+    },
+    indexes: {
+      description:
+        'An array of index definitions (composite, partial and/or expression indexes).',
+      example: '===',
+      defaultsTo: []
+    },
+    fullTextSearch: {
+      description:
+        'The names of the columns to index for full-text search (if any).',
+      example: ['title'],
+      defaultsTo: []
+    },
     meta: require('../constants/meta.input')
   },
 
@@ -26,85 +53,59 @@ module.exports = {
 
   fn: function (inputs, exits) {
     const db = inputs.connection
-    function getSqliteType(columnType) {
-      if (!columnType || typeof columnType !== 'string') {
-        return 'TEXT' // Default fallback
-      }
-      switch (columnType.toLowerCase()) {
-        case '_string':
-        case '_text':
-        case '_mediumtext':
-        case '_longtext':
-          return 'TEXT'
-        case '_number':
-        case '_numberkey':
-        case '_numbertimestamp':
-        case 'integer':
-        case 'int':
-          return 'INTEGER'
-        case '_json':
-          return 'TEXT'
-        case 'float':
-        case 'double':
-        case 'real':
-          return 'REAL'
-        case 'boolean':
-          return 'INTEGER'
-        case 'date':
-        case 'datetime':
-          return 'TEXT'
-        case 'binary':
-        case 'blob':
-          return 'BLOB'
-        default:
-          return 'TEXT'
-      }
-    }
-
-    // Check if we're already in a transaction
-    const wasInTransaction = db.inTransaction
+    const tableName = inputs.tableName
 
+    // Run in a transaction (or, inside someone else's, in a savepoint of its
+    // own), so that a failure part-way through leaves nothing behind.
+    let transaction
     try {
-      // Start a transaction only if we're not already in one
-      if (!wasInTransaction) {
-        db.prepare('BEGIN').run()
-      }
+      transaction = openTransaction(db, 'IMMEDIATE')
 
       // Build and execute the CREATE TABLE statement
-      let createTableSQL = `CREATE TABLE IF NOT EXISTS \`${inputs.tableName}\` (`
-      let columnDefs = inputs.columns.map((column) => {
-        const columnType = column.columnType ?? column.type
-        let def = `\`${column.columnName}\` ${column.autoIncrement ? 'INTEGER' : getSqliteType(columnType)}`
-        if (column.autoIncrement) {
-          def += ' PRIMARY KEY AUTOINCREMENT NOT NULL'
-        }
-        if (column.unique && !column.autoIncrement) def += ' UNIQUE'
-        return def
-      })
-      createTableSQL += columnDefs.join(', ') + ')'
-      db.prepare(createTableSQL).run()
+      db.prepare(
+        buildCreateTableSql(tableName, inputs.columns, {
+          strict: inputs.strict
+        })
+      ).run()
 
-      // Create indexes
-      inputs.columns.forEach((column) => {
-        if (column.unique && !column.autoIncrement) {
-          const indexSQL = `CREATE UNIQUE INDEX IF NOT EXISTS \`idx_${inputs.tableName}_${column.columnName}\` ON \`${inputs.tableName}\` (\`${column.columnName}\`)`
-          db.prepare(indexSQL).run()
+      // Create indexes (and drop the ones the model no longer asks for)
+      const indexes = [
+        ...inputs.columns
+          .filter((column) => column.unique && !column.autoIncrement)
+          .map((column) => ({ columns: [column.columnName], unique: true })),
+        ...inputs.indexes
+      ].map((index) => buildIndexDefinition(tableName, index))
+      indexes.forEach((index, i) => {
+        const otherIndex = indexes.find(
+          (otherIndex, j) => j < i && otherIndex.name === index.name
+        )
+        if (otherIndex && otherIndex.sql !== index.sql) {
+          throw new Error(
+            `Two different indexes are named \`${index.name}\`. (Give one of them a \`name\`.)`
+          )
         }
       })
+      syncIndexes(
+        db,
+        tableName,
+        indexes.filter(
+          (index, i) =>
+            indexes.findIndex(({ name }) => name === index.name) === i
+        )
+      )
 
-      // Commit the transaction only if we started it
-      if (!wasInTransaction) {
-        db.prepare('COMMIT').run()
-      }
+      // Create (or update, or drop) the full-text search index
+      syncFullTextSearch(db, tableName, inputs.fullTextSearch)
+
+      transaction.commit()
 
       return exits.success()
     } catch (error) {
-      // If there's an error, roll back the transaction (only if we started it)
-      if (!wasInTransaction) {
-        db.prepare('ROLLBACK').run()
+      if (transaction) {
+        transaction.rollback()
       }
       return exits.error(
-        new Error(`Error defining table ${inputs.tableName}: ${error.message}`)
+        new Error(`Error defining table ${tableName}: ${error.message}`)
       )
     }
   }
@@ -6,8 +6,6 @@ module.exports = {
   extendedDescription:
     'For SQLite, this involves closing the database connection. Unlike other databases, SQLite does not use connection pools, so this operation is relatively straightforward.',
 
-  sync: true,
-
   inputs: {
     manager: {
       description: 'The SQLite connection manager instance to destroy.',
@@ -36,7 +34,7 @@ module.exports = {
     }
   },
 
-  fn: ({ manager, meta }, exits) => {
+  fn: async ({ manager, meta }, exits) => {
     try {
       // Validate the manager
       if (
@@ -59,9 +57,10 @@ module.exports = {
         return exits.success({ meta })
       }
 
-      // Use graceful cleanup if available (from enhanced create-manager)
+      // Use graceful cleanup if available (from enhanced create-manager), which
+      // finishes once the query workers (if any) have exited.
       if (typeof manager.closeGracefully === 'function') {
-        manager.closeGracefully()
+        await manager.closeGracefully()
       } else {
         // Fallback to basic close
         manager.close()
@@ -1,6 +1,9 @@
 const util = require('util')
 const processNativeRecord = require('./private/process-native-record')
+const processNativeError = require('./private/process-native-error')
 const buildSqliteWhereClause = require('./private/build-sqlite-where-clause')
+const explainQuery = require('./private/explain-query')
+const openTransaction = require('./private/open-transaction')
 
 module.exports = {
   friendlyName: 'Destroy (records)',
@@ -62,36 +65,40 @@ module.exports = {
 
     const db = inputs.connection
 
-    // Check if we're already in a transaction
-    const wasInTransaction = db.inTransaction
-
+    // Run in a transaction (or, inside someone else's, in a savepoint of its
+    // own), so that a failure part-way through leaves nothing behind.
+    let transaction
     try {
-      // Start a transaction only if we're not already in one
-      if (!wasInTransaction) {
-        db.exec('BEGIN TRANSACTION')
-      }
+      transaction = openTransaction(db, 'IMMEDIATE')
 
       let phRecords
       if (isFetchEnabled) {
         // Fetch matching records before deletion
-        const selectSql = sqliteWhere
-          ? `SELECT * FROM \`${tableName}\` WHERE ${sqliteWhere}`
+        const selectSql = sqliteWhere.sql
+          ? `SELECT * FROM \`${tableName}\` WHERE ${sqliteWhere.sql}`
           : `SELECT * FROM \`${tableName}\``
-        const selectStmt = db.prepare(selectSql)
-        phRecords = selectStmt.all()
+        const selectStmt = db.getPreparedStatement
+          ? db.getPreparedStatement(selectSql)
+          : db.prepare(selectSql)
+        if (s3q.meta && s3q.meta.explain) {
+          explainQuery(db, selectSql, sqliteWhere.bindings, s3q.meta.explain)
+        }
+        phRecords = selectStmt.all(...sqliteWhere.bindings)
       }
 
       // Perform the deletion
-      const deleteSql = sqliteWhere
-        ? `DELETE FROM \`${tableName}\` WHERE ${sqliteWhere}`
+      const deleteSql = sqliteWhere.sql
+        ? `DELETE FROM \`${tableName}\` WHERE ${sqliteWhere.sql}`
         : `DELETE FROM \`${tableName}\``
-      const deleteStmt = db.prepare(deleteSql)
-      const deleteInfo = deleteStmt.run()
-
-      // Commit the transaction only if we started it
-      if (!wasInTransaction) {
-        db.exec('COMMIT')
+      const deleteStmt = db.getPreparedStatement
+        ? db.getPreparedStatement(deleteSql)
+        : db.prepare(deleteSql)
+      if (s3q.meta && s3q.meta.explain) {
+        explainQuery(db, deleteSql, sqliteWhere.bindings, s3q.meta.explain)
       }
+      const deleteInfo = deleteStmt.run(...sqliteWhere.bindings)
+
+      transaction.commit()
 
       if (!isFetchEnabled) {
         return exits.success()
@@ -104,11 +111,10 @@ module.exports = {
 
       return exits.success(phRecords)
     } catch (err) {
-      // Rollback the transaction in case of error (only if we started it)
-      if (!wasInTransaction) {
-        db.exec('ROLLBACK')
+      if (transaction) {
+        transaction.rollback()
       }
-      return exits.error(err)
+      return exits.error(processNativeError(err, { db, tableName }))
     }
   }
 }
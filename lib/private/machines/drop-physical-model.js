@@ -23,6 +23,16 @@ module.exports = {
     // Get the SQLite database connection
     const db = inputs.connection
 
+    // Dropping a table deletes its rows first, which would fire foreign key
+    // actions (e.g. ON DELETE CASCADE) on other tables. During auto-migrations
+    // the rows are put right back, so turn foreign keys off while dropping.
+    // (That pragma cannot be changed inside a transaction.)
+    const hadForeignKeys =
+      !db.inTransaction && db.pragma('foreign_keys', { simple: true }) === 1
+    if (hadForeignKeys) {
+      db.pragma('foreign_keys = OFF')
+    }
+
     try {
       // SQL to drop the table (properly escape the table name)
       const dropTableSQL = `DROP TABLE IF EXISTS \`${inputs.tableName}\``
@@ -30,6 +40,10 @@ module.exports = {
       // Execute the drop table operation
       db.prepare(dropTableSQL).run()
 
+      // Drop its full-text search index too (if any).
+      // (Its triggers went away along with the table.)
+      db.prepare(`DROP TABLE IF EXISTS \`${inputs.tableName}_fts\``).run()
+
       // SQL to remove the table's entry from sqlite_sequence (if it exists)
       const cleanSequenceSQL = `DELETE FROM sqlite_sequence WHERE name = ?`
 
@@ -46,6 +60,10 @@ module.exports = {
       return exits.error(
         new Error(`Error dropping table ${inputs.tableName}: ${error.message}`)
       )
+    } finally {
+      if (hadForeignKeys) {
+        db.pragma('foreign_keys = ON')
+      }
     }
   }
 }
@@ -2,12 +2,16 @@ const assert = require('assert')
 const util = require('util')
 const processNativeRecord = require('./private/process-native-record')
 const buildSqliteWhereClause = require('./private/build-sqlite-where-clause')
+const getColumnCollation = require('./private/get-column-collation')
+const explainQuery = require('./private/explain-query')
 
 module.exports = {
   friendlyName: 'Find (records)',
 
   description: 'Find record(s) in the SQLite database.',
 
+  sideEffects: 'cacheable',
+
   inputs: {
     query: require('../constants/query.input'),
     connection: require('../constants/connection.input'),
@@ -53,50 +57,78 @@ module.exports = {
     const db = inputs.connection
 
     try {
+      const bindings = []
       let sqlQuery = `SELECT `
 
+      // Whether to rank full-text search results by relevance (best match first)
+      const isRanked = !!(
+        s3q.meta &&
+        s3q.meta.search &&
+        typeof s3q.meta.search === 'object' &&
+        s3q.meta.search.rank
+      )
+
       // Handle SELECT clause
       if (s3q.criteria.select) {
         sqlQuery += s3q.criteria.select.map((col) => `\`${col}\``).join(', ')
       } else {
-        sqlQuery += '*'
+        sqlQuery += isRanked ? `\`${tableName}\`.*` : '*'
       }
 
       sqlQuery += ` FROM \`${tableName}\``
 
+      // Handle ranking: the WHERE clause already narrows things down to the
+      // matching rows, and this join just supplies each one's `bm25()` score.
+      if (isRanked) {
+        const ftsTableName = `${tableName}_fts`
+        sqlQuery += ` JOIN (SELECT rowid AS __sails_rowid, bm25(\`${ftsTableName}\`) AS __sails_rank FROM \`${ftsTableName}\` WHERE \`${ftsTableName}\` MATCH ?) AS __sails_search ON __sails_search.__sails_rowid = \`${tableName}\`.rowid`
+        bindings.push(s3q.meta.search.query)
+      }
+
       // Handle WHERE clause
       const whereClause = buildSqliteWhereClause(
         s3q.criteria.where,
         WLModel,
         s3q.meta
       )
-      if (whereClause) {
-        sqlQuery += ` WHERE ${whereClause}`
+      if (whereClause.sql) {
+        sqlQuery += ` WHERE ${whereClause.sql}`
+        bindings.push(...whereClause.bindings)
       }
 
-      // Handle SORT clause
+      // Handle SORT clause (after the rank, if any, so it only breaks ties)
+      const sortClauses = isRanked ? ['__sails_search.__sails_rank'] : []
       if (s3q.criteria.sort && s3q.criteria.sort.length) {
-        const sortClauses = s3q.criteria.sort.map((sortObj) => {
+        s3q.criteria.sort.forEach((sortObj) => {
           const key = Object.keys(sortObj)[0]
           const direction = sortObj[key] === 'ASC' ? 'ASC' : 'DESC'
-          return `\`${key}\` ${direction}`
+          const collation = getColumnCollation(WLModel, key)
+          sortClauses.push(
+            collation
+              ? `\`${key}\` COLLATE ${collation} ${direction}`
+              : `\`${key}\` ${direction}`
+          )
         })
+      }
+      if (sortClauses.length) {
         sqlQuery += ` ORDER BY ${sortClauses.join(', ')}`
       }
 
       // Handle LIMIT clause
       // If no limit is specified, don't add LIMIT clause (will return all matching records)
       // This handles cases where Waterline doesn't provide a default limit
-      if (
-        s3q.criteria.limit !== undefined &&
-        Number.isFinite(s3q.criteria.limit)
-      ) {
-        sqlQuery += ` LIMIT ${s3q.criteria.limit}`
+      const hasLimit =
+        s3q.criteria.limit !== undefined && Number.isFinite(s3q.criteria.limit)
+      if (hasLimit) {
+        sqlQuery += ` LIMIT ?`
+        bindings.push(s3q.criteria.limit)
       }
 
       // Handle SKIP (OFFSET) clause
+      // SQLite only accepts OFFSET after a LIMIT, so use `LIMIT -1` (no limit) if needed.
       if (s3q.criteria.skip) {
-        sqlQuery += ` OFFSET ${s3q.criteria.skip}`
+        sqlQuery += hasLimit ? ` OFFSET ?` : ` LIMIT -1 OFFSET ?`
+        bindings.push(s3q.criteria.skip)
       }
 
       // Use prepared statement caching for better performance
@@ -104,7 +136,10 @@ module.exports = {
         ? db.getPreparedStatement(sqlQuery)
         : db.prepare(sqlQuery)
 
-      const nativeResult = stmt.all()
+      if (s3q.meta && s3q.meta.explain) {
+        explainQuery(db, sqlQuery, bindings, s3q.meta.explain)
+      }
+      const nativeResult = stmt.all(...bindings)
 
       // Process records
       const phRecords = nativeResult.map((record) => {
@@ -2,13 +2,11 @@ module.exports = {
   friendlyName: 'Get connection',
 
   description:
-    'Get an active connection to the SQLite database (this is a no-op for SQLite).',
+    'Lease the writer connection to the SQLite database (waiting until it is free).',
 
   moreInfoUrl:
     'https://github.com/node-machine/driver-interface/blob/master/machines/get-connection.js',
 
-  sync: true,
-
   inputs: {
     manager: {
       description: 'A SQLite database instance (from better-sqlite3).',
@@ -32,9 +30,8 @@ module.exports = {
     },
 
     failed: {
-      friendlyName: 'Failed (unused)',
       description:
-        'Could not acquire a connection to the database via the provided connection manager. (This is unlikely to occur with SQLite)',
+        'Could not acquire a connection to the database via the provided connection manager (e.g. because it is being destroyed).',
       outputFriendlyName: 'Report',
       outputExample: {
         error: '===',
@@ -44,11 +41,23 @@ module.exports = {
   },
 
   fn: ({ manager, meta }, exits) => {
-    // This is a no-op that just sends back the manager and `meta` that were passed in.
-    // In SQLite, the "manager" and "connection" are the same thing: a Database instance from better-sqlite3.
-    return exits.success({
-      connection: manager,
-      meta
-    })
+    // A plain Database instance (not built by `createManager()`) is its own
+    // one and only connection.
+    if (typeof manager.leaseConnection !== 'function') {
+      return exits.success({
+        connection: manager,
+        meta
+      })
+    }
+
+    manager.leaseConnection(
+      { readonly: !!(meta && meta.readonly) },
+      (err, connection) => {
+        if (err) {
+          return exits.failed({ error: err, meta })
+        }
+        return exits.success({ connection, meta })
+      }
+    )
   }
 }
@@ -1,6 +1,7 @@
 module.exports = {
   friendlyName: 'Join',
   description: 'Perform a join operation in SQLite using better-sqlite3.',
+  sideEffects: 'cacheable',
   inputs: {
     query: require('../constants/query.input'),
     connection: require('../constants/connection.input'),
@@ -17,10 +18,11 @@ module.exports = {
   },
   fn: function (inputs, exits) {
     const _ = require('@sailshq/lodash')
-    const async = require('async')
     const WLUtils = require('waterline-utils')
     const processEachRecord = require('./private/process-each-record')
     const compileStatement = require('./private/compile-statement')
+    const compileChildStatement = require('./private/compile-child-statement')
+    const explainQuery = require('./private/explain-query')
 
     const { query, connection, dryOrm } = inputs
     const models = dryOrm.models
@@ -61,12 +63,60 @@ module.exports = {
       }
     })
 
-    // Run parent query
-    const compiledQuery = compileStatement(statements.parentStatement)
+    // Compile the parent query, along with a subquery per populated
+    // association (see `compileChildStatement()`), into a single statement.
+    const parentQuery = compileStatement(statements.parentStatement)
+    const childStatements = statements.childStatements || []
+    const parentTable = _.last(
+      statements.parentStatement.from.split(' as ')
+    ).trim()
+    const childQueries = _.map(childStatements, (template) =>
+      compileChildStatement(template, parentTable)
+    )
+    let compiledQuery = parentQuery
+    if (childQueries.length) {
+      // Splice the subqueries in right after the selected columns.
+      const selectSql = compileStatement({
+        select: statements.parentStatement.select
+      }).sql
+      const childColumns = childQueries.map(
+        (childQuery, i) => `${childQuery.sql} AS __sails_populate_${i}`
+      )
+      compiledQuery = {
+        sql: `${selectSql}, ${childColumns.join(', ')}${parentQuery.sql.slice(selectSql.length)}`,
+        bindings: _.flatten(_.map(childQueries, 'bindings')).concat(
+          parentQuery.bindings || []
+        )
+      }
+    }
+
     const db = connection
-    const stmt = db.prepare(compiledQuery.sql)
+    const stmt = db.getPreparedStatement
+      ? db.getPreparedStatement(compiledQuery.sql)
+      : db.prepare(compiledQuery.sql)
+    if (query.meta && query.meta.explain) {
+      explainQuery(
+        db,
+        compiledQuery.sql,
+        compiledQuery.bindings || [],
+        query.meta.explain
+      )
+    }
     const parentResults = stmt.all(...(compiledQuery.bindings || []))
 
+    // Take each association's children out of the parent rows.
+    const childResults = childStatements.map((template, i) =>
+      _.flatten(
+        _.map(parentResults, (parentRecord) => {
+          const children = parseChildRecords(
+            parentRecord[`__sails_populate_${i}`]
+          )
+          delete parentRecord[`__sails_populate_${i}`]
+          return children
+        })
+      )
+    )
+
     // Early exit if no joins or no results
     if (!_.has(query, 'joins') || !parentResults.length) {
       if (hasReturned) return
@@ -143,117 +193,40 @@ module.exports = {
     // Set parents
     queryCache.setParents(sortedResults.parents)
 
-    // Single-query path (no child statements)
-    if (!statements.childStatements || !statements.childStatements.length) {
-      const combinedResults = queryCache.combineRecords() || []
-      const orm = { collections: models }
-      processEachRecord({
-        records: combinedResults,
-        identity: model.identity,
-        orm: orm
-      })
-      if (hasReturned) return
-      hasReturned = true
-      return exits.success(combinedResults)
-    }
-
-    // Multi-query path (process child statements)
-    const parentKeys = _.map(queryCache.getParents(), function (record) {
-      return record[primaryKeyColumnName]
+    // Add the children of each populated association
+    _.each(childStatements, function (template, i) {
+      queryCache.extend(childResults[i], template.instructions)
     })
 
-    async.each(
-      statements.childStatements,
-      function (template, next) {
-        // Handle IN queries
-        if (template.queryType === 'in') {
-          const inClause = _.pullAt(
-            template.statement.where.and,
-            template.statement.where.and.length - 1
-          )
-          const clause = _.first(inClause)
-          _.each(clause, function (val) {
-            val.in = parentKeys
-          })
-          template.statement.where.and.push(clause)
-        }
-
-        // Handle UNION queries with special case for per-entity pagination
-        if (template.queryType === 'union') {
-          const unionStatements = []
-          _.each(parentKeys, function (parentPk) {
-            const unionStatement = _.merge({}, template.statement)
-            const andClause = _.pullAt(
-              unionStatement.where.and,
-              unionStatement.where.and.length - 1
-            )
-            _.each(_.first(andClause), function (val, key) {
-              _.first(andClause)[key] = parentPk
-            })
-            unionStatement.where.and.push(_.first(andClause))
-            unionStatements.push(unionStatement)
-          })
-
-          if (unionStatements.length) {
-            // Check if this is per-entity pagination (has LIMIT/OFFSET)
-            const hasPerEntityPagination =
-              unionStatements[0].limit || unionStatements[0].skip
-
-            if (hasPerEntityPagination && unionStatements.length > 1) {
-              // SQLite-savvy approach: Execute separate queries for per-entity pagination
-              const allChildResults = []
-
-              _.each(unionStatements, function (singleStatement) {
-                const compiledQuery = compileStatement(singleStatement)
-                const stmt = db.prepare(compiledQuery.sql)
-                const results = stmt.all(...(compiledQuery.bindings || []))
-                allChildResults.push(...results)
-              })
-
-              // Extend cache with combined results
-              queryCache.extend(allChildResults, template.instructions)
-              return next()
-            } else {
-              // Standard UNION approach for non-pagination cases
-              template.statement = { unionAll: unionStatements }
-            }
-          }
-        }
-
-        if (!template.statement) {
-          return next()
-        }
-
-        // Run child query
-        const childCompiledQuery = compileStatement(template.statement)
-        const childStmt = db.prepare(childCompiledQuery.sql)
-        const childResults = childStmt.all(
-          ...(childCompiledQuery.bindings || [])
-        )
-
-        // Extend cache
-        queryCache.extend(childResults, template.instructions)
-        next()
-      },
-      function (err) {
-        if (hasReturned) return
-
-        if (err) {
-          hasReturned = true
-          return exits.error(err)
-        }
+    // Final combine and return
+    const combinedResults = queryCache.combineRecords() || []
+    const orm = { collections: models }
+    processEachRecord({
+      records: combinedResults,
+      identity: model.identity,
+      orm: orm
+    })
+    if (hasReturned) return
+    hasReturned = true
+    return exits.success(combinedResults)
+  }
+}
 
-        // Final combine and return
-        const combinedResults = queryCache.combineRecords() || []
-        const orm = { collections: models }
-        processEachRecord({
-          records: combinedResults,
-          identity: model.identity,
-          orm: orm
-        })
-        hasReturned = true
-        return exits.success(combinedResults)
+/**
+ * Parse the children selected for one parent row by `compileChildStatement()`,
+ * turning BLOB values (sent as `[<hex>]`) back into Buffers.
+ *
+ * @param  {String} json  [a JSON array of child records]
+ *
+ * @returns {Array}
+ */
+function parseChildRecords(json) {
+  return JSON.parse(json).map((record) => {
+    for (const [columnName, value] of Object.entries(record)) {
+      if (Array.isArray(value)) {
+        record[columnName] = Buffer.from(value[0], 'hex')
       }
-    )
-  }
+    }
+    return record
+  })
 }
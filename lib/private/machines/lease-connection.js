@@ -6,7 +6,9 @@
  * Lease Connection
  *
  * Get a dedicated connection from the datastore for use in transactions.
- * For SQLite, this returns the same connection manager since SQLite is single-threaded.
+ * This is the datastore's writer connection (or, with `meta.readonly`, one of its
+ * read-only connections). Until it is released, anyone else who asks for the
+ * same kind of connection waits.
  */
 
 module.exports = {
@@ -26,7 +28,8 @@ module.exports = {
     },
 
     meta: {
-      description: 'Additional options for this query.',
+      description:
+        'Additional options for this query (e.g. `readonly: true` to lease a read-only connection).',
       example: '==='
     }
   },
@@ -46,13 +49,20 @@ module.exports = {
     const manager = inputs.manager
     const meta = inputs.meta || {}
 
-    try {
-      // For SQLite, the manager IS the database connection
-      // SQLite is single-threaded and doesn't support concurrent transactions
-      // The "connection" is actually the database instance
+    // A plain Database instance (not built by `createManager()`) is its own
+    // one and only connection.
+    if (typeof manager.leaseConnection !== 'function') {
       return exits.success(manager)
-    } catch (err) {
-      return exits.failed(err)
     }
+
+    manager.leaseConnection(
+      { readonly: !!meta.readonly },
+      (err, connection) => {
+        if (err) {
+          return exits.failed(err)
+        }
+        return exits.success(connection)
+      }
+    )
   }
 }
@@ -0,0 +1,92 @@
+const loadMigrationFiles = require('./private/load-migration-files')
+const ensureMigrationsTable = require('./private/ensure-migrations-table')
+const openTransaction = require('./private/open-transaction')
+
+module.exports = {
+  friendlyName: 'Migrate (latest)',
+
+  description:
+    'Run every migration file that has not been run yet, as a single batch.',
+
+  extendedDescription:
+    'All pending migrations run inside one transaction: if any of them fails, none of them are recorded or kept.',
+
+  inputs: {
+    connection: require('../constants/connection.input'),
+    directory: {
+      description: 'The absolute path to the directory of migration files.',
+      example: '/var/www/my-app/db/migrations',
+      required: true
+    },
+    tableName: {
+      description:
+        'The name of the table that tracks which migrations have run.',
+      example: 'migrations',
+      required: true
+    },
+    meta: require('../constants/meta.input')
+  },
+
+  exits: {
+    success: {
+      outputFriendlyName: 'Report',
+      outputDescription:
+        'The `batch` number of this run, and the names of the migrations that were `migrated` (in order).',
+      outputExample: '==='
+    }
+  },
+
+  fn: async function (inputs, exits) {
+    const db = inputs.connection
+
+    if (db.inTransaction) {
+      return exits.error(
+        new Error(
+          'Cannot run migrations: a transaction is already active on this connection.'
+        )
+      )
+    }
+
+    let migrations
+    try {
+      migrations = loadMigrationFiles(inputs.directory)
+    } catch (err) {
+      return exits.error(err)
+    }
+
+    let transaction
+    try {
+      // (IMMEDIATE takes the write lock up front, rather than failing with
+      // SQLITE_BUSY part-way through if another process wrote meanwhile.)
+      transaction = openTransaction(db, 'IMMEDIATE')
+
+      const applied = ensureMigrationsTable(db, inputs.tableName)
+      const appliedNames = applied.map((row) => row.name)
+      const pending = migrations.filter(
+        (migration) => !appliedNames.includes(migration.name)
+      )
+      const batch =
+        applied.reduce((latest, row) => Math.max(latest, row.batch), 0) + 1
+
+      const recordStmt = db.prepare(
+        `INSERT INTO \`${inputs.tableName}\` (\`name\`, \`batch\`, \`migratedAt\`) VALUES (?, ?, ?)`
+      )
+      for (const migration of pending) {
+        await migration.up(db)
+        recordStmt.run(migration.name, batch, new Date().toISOString())
+      }
+
+      transaction.commit()
+
+      return exits.success({
+        batch: pending.length > 0 ? batch : null,
+        migrated: pending.map((migration) => migration.name)
+      })
+    } catch (err) {
+      if (transaction) {
+        transaction.rollback()
+      }
+      return exits.error(err)
+    }
+  }
+}
@@ -0,0 +1,107 @@
+const loadMigrationFiles = require('./private/load-migration-files')
+const ensureMigrationsTable = require('./private/ensure-migrations-table')
+const openTransaction = require('./private/open-transaction')
+
+module.exports = {
+  friendlyName: 'Migrate (rollback)',
+
+  description:
+    'Undo the most recent batch of migrations by running their `down()` functions.',
+
+  extendedDescription:
+    'Migrations are undone newest first, inside one transaction: if any of them fails, the whole batch stays in place.',
+
+  inputs: {
+    connection: require('../constants/connection.input'),
+    directory: {
+      description: 'The absolute path to the directory of migration files.',
+      example: '/var/www/my-app/db/migrations',
+      required: true
+    },
+    tableName: {
+      description:
+        'The name of the table that tracks which migrations have run.',
+      example: 'migrations',
+      required: true
+    },
+    meta: require('../constants/meta.input')
+  },
+
+  exits: {
+    success: {
+      outputFriendlyName: 'Report',
+      outputDescription:
+        'The `batch` number that was undone, and the names of the migrations that were `rolledBack` (in the order they were undone).',
+      outputExample: '==='
+    }
+  },
+
+  fn: async function (inputs, exits) {
+    const db = inputs.connection
+
+    if (db.inTransaction) {
+      return exits.error(
+        new Error(
+          'Cannot roll back migrations: a transaction is already active on this connection.'
+        )
+      )
+    }
+
+    let migrations
+    try {
+      migrations = loadMigrationFiles(inputs.directory)
+    } catch (err) {
+      return exits.error(err)
+    }
+
+    let transaction
+    try {
+      // (IMMEDIATE takes the write lock up front, rather than failing with
+      // SQLITE_BUSY part-way through if another process wrote meanwhile.)
+      transaction = openTransaction(db, 'IMMEDIATE')
+
+      const applied = ensureMigrationsTable(db, inputs.tableName)
+      const batch = applied.reduce(
+        (latest, row) => Math.max(latest, row.batch),
+        0
+      )
+      const toRollBack = applied
+        .filter((row) => row.batch === batch)
+        .map((row) => row.name)
+        .reverse()
+
+      const deleteStmt = db.prepare(
+        `DELETE FROM \`${inputs.tableName}\` WHERE \`name\` = ?`
+      )
+      for (const name of toRollBack) {
+        const migration = migrations.find(
+          (migration) => migration.name === name
+        )
+        if (!migration) {
+          throw new Error(
+            `Cannot roll back migration \`${name}\`: its file is missing from \`${inputs.directory}\`.`
+          )
+        }
+        if (!migration.down) {
+          throw new Error(
+            `Cannot roll back migration \`${name}\`: it does not export a \`down(db)\` function.`
+          )
+        }
+        await migration.down(db)
+        deleteStmt.run(name)
+      }
+
+      transaction.commit()
+
+      return exits.success({
+        batch: toRollBack.length > 0 ? batch : null,
+        rolledBack: toRollBack
+      })
+    } catch (err) {
+      if (transaction) {
+        transaction.rollback()
+      }
+      return exits.error(err)
+    }
+  }
+}
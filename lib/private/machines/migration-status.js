@@ -0,0 +1,53 @@
+const loadMigrationFiles = require('./private/load-migration-files')
+const ensureMigrationsTable = require('./private/ensure-migrations-table')
+
+module.exports = {
+  friendlyName: 'Migration status',
+
+  description:
+    'Report which migrations have run, which are pending, and which have gone missing.',
+
+  inputs: {
+    connection: require('../constants/connection.input'),
+    directory: {
+      description: 'The absolute path to the directory of migration files.',
+      example: '/var/www/my-app/db/migrations',
+      required: true
+    },
+    tableName: {
+      description:
+        'The name of the table that tracks which migrations have run.',
+      example: 'migrations',
+      required: true
+    },
+    meta: require('../constants/meta.input')
+  },
+
+  exits: {
+    success: {
+      outputFriendlyName: 'Report',
+      outputDescription:
+        'The migrations that were `applied` (with their batch and timestamp), the names of the `pending` ones, and the names of applied migrations whose files are `missing`.',
+      outputExample: '==='
+    }
+  },
+
+  fn: function (inputs, exits) {
+    const db = inputs.connection
+
+    try {
+      const migrations = loadMigrationFiles(inputs.directory)
+      const applied = ensureMigrationsTable(db, inputs.tableName)
+      const appliedNames = applied.map((row) => row.name)
+      const fileNames = migrations.map((migration) => migration.name)
+
+      return exits.success({
+        applied,
+        pending: fileNames.filter((name) => !appliedNames.includes(name)),
+        missing: appliedNames.filter((name) => !fileNames.includes(name))
+      })
+    } catch (err) {
+      return exits.error(err)
+    }
+  }
+}
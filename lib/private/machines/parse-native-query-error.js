@@ -59,21 +59,25 @@ module.exports = {
   },
 
   fn: function parseNativeQueryError(inputs, exits) {
+    const describeNativeError = require('./private/describe-native-error')
+
     try {
       const err = inputs.nativeQueryError
-      const footprint = {
-        identity: 'unknown',
-        error: err,
-        raw: err
+      if (!err || typeof err !== 'object') {
+        throw new Error(
+          `Expected the native query error to be an Error, but got: ${err}`
+        )
       }
 
-      if (err.code === 'SQLITE_CONSTRAINT') {
-        if (err.message && err.message.includes('UNIQUE')) {
-          return exits.notUnique({
-            footprint: footprint,
-            meta: inputs.meta
-          })
-        }
+      // Errors that already went through `processNativeError()` (e.g. from
+      // `.create()`) have their footprint; otherwise work it out the same way.
+      const footprint = err.footprint || describeNativeError(err).footprint
+
+      if (footprint.identity === 'notUnique') {
+        return exits.notUnique({
+          footprint: footprint,
+          meta: inputs.meta
+        })
       }
 
       return exits.success({
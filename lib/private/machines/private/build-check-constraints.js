@@ -0,0 +1,61 @@
+/**
+ * buildCheckConstraints()
+ *
+ * Translate an attribute's validations into CHECK constraints for its column.
+ *
+ * > Each constraint is named `<column>_<rule>` (e.g. `status_isIn`), which is
+ * > what SQLite reports when it is violated.
+ *
+ * @param  {String}  columnName
+ * @param  {Object?} validations  [the attribute's validation rules, e.g. `{ isIn: ['a', 'b'], maxLength: 10 }`]
+ *
+ * @returns {Array}  [{ name, expression }]
+ */
+module.exports = function buildCheckConstraints(columnName, validations) {
+  const column = `\`${columnName}\``
+  const checks = []
+  if (!validations) {
+    return checks
+  }
+
+  if (Array.isArray(validations.isIn) && validations.isIn.length > 0) {
+    checks.push({
+      name: `${columnName}_isIn`,
+      expression: `${column} IN (${validations.isIn.map(toSqlLiteral).join(', ')})`
+    })
+  }
+  if (isFiniteNumber(validations.min)) {
+    checks.push({
+      name: `${columnName}_min`,
+      expression: `${column} >= ${validations.min}`
+    })
+  }
+  if (isFiniteNumber(validations.max)) {
+    checks.push({
+      name: `${columnName}_max`,
+      expression: `${column} <= ${validations.max}`
+    })
+  }
+  if (isFiniteNumber(validations.maxLength)) {
+    checks.push({
+      name: `${columnName}_maxLength`,
+      expression: `length(${column}) <= ${validations.maxLength}`
+    })
+  }
+
+  return checks
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+function toSqlLiteral(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value)
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0'
+  }
+  return `'${String(value).replace(/'/g, "''")}'`
+}
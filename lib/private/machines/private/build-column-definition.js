@@ -0,0 +1,76 @@
+/**
+ * buildColumnDefinition()
+ *
+ * Build the SQLite column definition (e.g. `` `email` TEXT UNIQUE ``) for one of
+ * the columns passed to `definePhysicalModel()`.
+ *
+ * > Columns with `references` (i.e. singular associations) also get a foreign key
+ * > clause, e.g. `` `owner` INTEGER REFERENCES `user` (`id`) ON DELETE CASCADE ``,
+ * > and columns with `checks` get a named CHECK constraint for each. A `collation`
+ * > (e.g. `'NOCASE'`) comes right after the type, so indexes on the column use it too.
+ *
+ * @param  {Object}  column   [a column definition, as built by the `define()` adapter method]
+ * @param  {Object?} options
+ *         @property {Boolean?} strict  [whether the column is for a STRICT table]
+ *
+ * @returns {String}         [the column definition, ready to use in CREATE TABLE]
+ */
+module.exports = function buildColumnDefinition(column, options) {
+  const strict = !!(options && options.strict)
+  const columnType = column.columnType ?? column.type
+  let def = `\`${column.columnName}\` ${column.autoIncrement ? 'INTEGER' : getSqliteType(columnType, strict)}`
+  if (column.collation) def += ` COLLATE ${column.collation}`
+  if (column.autoIncrement) {
+    def += ' PRIMARY KEY AUTOINCREMENT NOT NULL'
+  } else if (column.notNull) {
+    def += ' NOT NULL'
+  }
+  if (column.unique && !column.autoIncrement) def += ' UNIQUE'
+  if (column.references) {
+    const { tableName, columnName, onDelete, onUpdate } = column.references
+    def += ` REFERENCES \`${tableName}\` (\`${columnName}\`)`
+    if (onDelete) def += ` ON DELETE ${onDelete}`
+    if (onUpdate) def += ` ON UPDATE ${onUpdate}`
+  }
+  for (const check of column.checks || []) {
+    def += ` CONSTRAINT \`${check.name}\` CHECK (${check.expression})`
+  }
+  return def
+}
+
+function getSqliteType(columnType, strict) {
+  if (!columnType || typeof columnType !== 'string') {
+    return 'TEXT' // Default fallback
+  }
+  switch (columnType.toLowerCase()) {
+    case '_string':
+    case '_text':
+    case '_mediumtext':
+    case '_longtext':
+      return 'TEXT'
+    case '_number':
+      // A STRICT INTEGER column refuses fractional numbers.
+      return strict ? 'REAL' : 'INTEGER'
+    case '_numberkey':
+    case '_numbertimestamp':
+    case 'integer':
+    case 'int':
+      return 'INTEGER'
+    case '_json':
+      return 'TEXT'
+    case 'float':
+    case 'double':
+    case 'real':
+      return 'REAL'
+    case 'boolean':
+      return 'INTEGER'
+    case 'date':
+    case 'datetime':
+      return 'TEXT'
+    case 'binary':
+    case 'blob':
+      return 'BLOB'
+    default:
+      return 'TEXT'
+  }
+}
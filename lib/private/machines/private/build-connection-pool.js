@@ -0,0 +1,209 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const flaverr = require('flaverr')
+
+/**
+ * buildConnectionPool()
+ *
+ * Keep track of who is using a datastore's connections: the one writer
+ * connection, and a pool of read-only connections.
+ *
+ * > SQLite only ever allows one writer, so the writer is leased to one caller at
+ * > a time (e.g. for the length of a transaction), and anyone else who asks for it
+ * > waits in line. In WAL mode, readers do not block the writer (or each other)
+ * > and only see committed data, so a transaction stays invisible to them until
+ * > it is committed.
+ * >
+ * > Nobody waits in line longer than `acquireTimeoutMs`: they get an
+ * > `E_ACQUIRE_TIMEOUT` error instead (e.g. a write made during a transaction
+ * > without `.usingConnection(db)`, which would otherwise wait for the
+ * > transaction while the transaction waits for it).
+ * >
+ * > Each lease is remembered in the async context of whoever it was handed to
+ * > (i.e. their callback, and everything it goes on to do), so `holdsLease()`
+ * > can tell them apart from everyone else using the same connection object.
+ * >
+ * > While the pool is held (see `hold()`), closing it keeps whoever is still
+ * > waiting (and whoever asks afterwards) to be handed over with `takeHeld()`,
+ * > e.g. to the manager that replaces this one after a restore, or given back
+ * > to this pool with `reopen()` if it is not replaced after all.
+ *
+ * @param  {Database} writer
+ * @param  {Array}    readers           [read-only Database instances for the same file]
+ * @param  {Number}   acquireTimeoutMs  [how long to wait for a connection (Infinity to wait for as long as it takes)]
+ *
+ * @returns {Object}
+ *          @property {Function} lease     [lease({ readonly }, cb) -- cb(err, connection)]
+ *          @property {Function} release   [release(connection)]
+ *          @property {Function} holdsLease  [holdsLease(connection) -- whether the caller holds the lease on it]
+ *          @property {Function} close     [fail (or hold) anyone still waiting for a connection]
+ *          @property {Function} hold      [hold leases from now on, instead of failing them once closed]
+ *          @property {Function} takeHeld  [stop holding leases, and return those held as `[{ options, cb }]`]
+ *          @property {Function} reopen    [stop holding leases, and put those held back in line here]
+ *          @property {Function} getStats
+ */
+module.exports = function buildConnectionPool(
+  writer,
+  readers,
+  acquireTimeoutMs
+) {
+  let writerLeased = false
+  const idleReaders = readers.slice()
+  const writerQueue = []
+  const readerQueue = []
+  let closed = false
+  let heldLeases = null
+  const leases = new AsyncLocalStorage()
+  const currentLeases = new Map()
+
+  // Hand `connection` to `cb`, which (along with whatever it goes on to do)
+  // then holds the lease on it, on top of any it already held.
+  function grant(connection, cb) {
+    const lease = { connection, released: false, parent: leases.getStore() }
+    currentLeases.set(connection, lease)
+    return leases.run(lease, () => cb(null, connection))
+  }
+
+  // Put `cb` in line for a connection, until it is handed one or waits too long.
+  function wait(queue, options, cb, connectionName) {
+    if (acquireTimeoutMs <= 0) {
+      return cb(timeoutError(connectionName))
+    }
+    const waiter = { options, cb, timer: null }
+    if (Number.isFinite(acquireTimeoutMs)) {
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1)
+        cb(timeoutError(connectionName))
+      }, acquireTimeoutMs)
+    }
+    queue.push(waiter)
+  }
+
+  // Take the next caller out of line, if any.
+  function next(queue) {
+    const waiter = queue.shift()
+    if (!waiter) {
+      return null
+    }
+    clearTimeout(waiter.timer)
+    return waiter
+  }
+
+  function timeoutError(connectionName) {
+    return flaverr(
+      'E_ACQUIRE_TIMEOUT',
+      new Error(
+        `Timed out after ${acquireTimeoutMs}ms waiting for ${connectionName}, which stayed leased (e.g. by a transaction). (Queries that are part of a transaction must be run with \`.usingConnection(db)\`, or they wait for it to finish.)`
+      )
+    )
+  }
+
+  const pool = {
+    lease: function (options, cb) {
+      if (closed) {
+        if (heldLeases) {
+          heldLeases.push({ options, cb })
+          return
+        }
+        return cb(new Error('Cannot lease a connection: the pool is closed.'))
+      }
+
+      // Without a read pool (e.g. for an in-memory database), the writer is
+      // the only connection there is.
+      if (options && options.readonly && readers.length > 0) {
+        if (idleReaders.length > 0) {
+          return grant(idleReaders.shift(), cb)
+        }
+        return wait(readerQueue, options, cb, 'a read-only connection')
+      }
+
+      if (!writerLeased) {
+        writerLeased = true
+        return grant(writer, cb)
+      }
+      wait(writerQueue, options, cb, 'the writer connection')
+    },
+
+    release: function (connection) {
+      const lease = currentLeases.get(connection)
+      if (lease) {
+        lease.released = true
+        currentLeases.delete(connection)
+      }
+
+      if (connection === writer) {
+        if (!writerLeased) {
+          return
+        }
+        const waiter = next(writerQueue)
+        if (!waiter) {
+          writerLeased = false
+          return
+        }
+        // The writer stays leased, and goes straight to whoever is next in line.
+        setImmediate(() => grant(writer, waiter.cb))
+        return
+      }
+
+      if (!readers.includes(connection) || idleReaders.includes(connection)) {
+        return
+      }
+      const waiter = next(readerQueue)
+      if (!waiter) {
+        idleReaders.push(connection)
+        return
+      }
+      setImmediate(() => grant(connection, waiter.cb))
+    },
+
+    holdsLease: function (connection) {
+      for (let lease = leases.getStore(); lease; lease = lease.parent) {
+        if (lease.connection === connection && !lease.released) {
+          return true
+        }
+      }
+      return false
+    },
+
+    close: function () {
+      closed = true
+      const err = new Error(
+        'Cannot lease a connection: the datastore is being torn down.'
+      )
+      ;[writerQueue, readerQueue].forEach((queue) => {
+        for (let waiter = next(queue); waiter; waiter = next(queue)) {
+          if (heldLeases) {
+            heldLeases.push({ options: waiter.options, cb: waiter.cb })
+          } else {
+            waiter.cb(err)
+          }
+        }
+      })
+    },
+
+    hold: function () {
+      heldLeases = heldLeases || []
+    },
+
+    takeHeld: function () {
+      const held = heldLeases || []
+      heldLeases = null
+      return held
+    },
+
+    reopen: function () {
+      closed = false
+      pool.takeHeld().forEach(({ options, cb }) => pool.lease(options, cb))
+    },
+
+    getStats: function () {
+      return {
+        writerLeased,
+        readers: readers.length,
+        idleReaders: idleReaders.length,
+        waiting: writerQueue.length + readerQueue.length
+      }
+    }
+  }
+
+  return pool
+}
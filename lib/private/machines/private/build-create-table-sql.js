@@ -0,0 +1,22 @@
+const buildColumnDefinition = require('./build-column-definition')
+
+/**
+ * buildCreateTableSql()
+ *
+ * Build the CREATE TABLE statement for a physical model.
+ * (If the table already exists, it is left as-is.)
+ *
+ * @param  {String} tableName
+ * @param  {Array}  columns    [column definitions, as passed to `definePhysicalModel()`]
+ * @param  {Object?} options
+ *         @property {Boolean?} strict       [whether to make it a STRICT table]
+ *
+ * @returns {String}
+ */
+module.exports = function buildCreateTableSql(tableName, columns, options) {
+  const strict = !!(options && options.strict)
+  const columnDefs = columns.map((column) =>
+    buildColumnDefinition(column, { strict })
+  )
+  return `CREATE TABLE IF NOT EXISTS \`${tableName}\` (${columnDefs.join(', ')})${strict ? ' STRICT' : ''}`
+}
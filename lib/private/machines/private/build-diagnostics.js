@@ -0,0 +1,137 @@
+const fs = require('fs')
+
+// Pragmas that run a command rather than set something, so there is nothing to read back.
+const COMMAND_PRAGMAS = ['optimize']
+
+// What SQLite reports back for the named values a pragma can be set to.
+const PRAGMA_VALUE_NUMBERS = {
+  synchronous: { OFF: 0, NORMAL: 1, FULL: 2, EXTRA: 3 },
+  temp_store: { DEFAULT: 0, FILE: 1, MEMORY: 2 },
+  auto_vacuum: { NONE: 0, FULL: 1, INCREMENTAL: 2 }
+}
+const BOOLEAN_NUMBERS = { ON: 1, TRUE: 1, YES: 1, OFF: 0, FALSE: 0, NO: 0 }
+
+/**
+ * buildDiagnostics()
+ *
+ * Gather a report on the state of a datastore's database, for health checks
+ * and alerting.
+ *
+ * > `PRAGMA quick_check` reads every page, so on a large database this takes
+ * > a while (and holds up the writer for that long).
+ *
+ * @param  {Database} db
+ * @param  {Object}   configuredPragmas  [the pragmas the manager set when it opened the database]
+ *
+ * @returns {Object}
+ *          @property {Object}  file            [{ path, sizeBytes, pageSize, pageCount, freelistCount }]
+ *          @property {Object}  wal             [{ enabled, sizeBytes }]
+ *          @property {Object}  pragmas         [{ [name]: { configured, actual, matches } }]
+ *          @property {Object}  integrity       [{ ok, problems }]
+ *          @property {Object}  tables          [{ [tableName]: { estimatedRows } }] (as of the last ANALYZE)
+ *          @property {Object}  statementCache  [see `getStatementCacheStats()`]
+ *          @property {String}  checkedAt
+ */
+module.exports = function buildDiagnostics(db, configuredPragmas) {
+  const pageSize = db.pragma('page_size', { simple: true })
+  const pageCount = db.pragma('page_count', { simple: true })
+  const walStatus = db.getWalStatus()
+
+  const problems = db
+    .pragma('quick_check', { simple: false })
+    .map((row) => row.quick_check)
+
+  return {
+    file: {
+      path: db.memory ? null : db.name,
+      sizeBytes:
+        !db.memory && fs.existsSync(db.name)
+          ? fs.statSync(db.name).size
+          : pageSize * pageCount,
+      pageSize,
+      pageCount,
+      freelistCount: db.pragma('freelist_count', { simple: true })
+    },
+    wal: {
+      enabled: walStatus.enabled,
+      sizeBytes: walStatus.walSizeBytes
+    },
+    pragmas: comparePragmas(db, configuredPragmas),
+    integrity: {
+      ok: problems.length === 1 && problems[0] === 'ok',
+      problems: problems.filter((problem) => problem !== 'ok')
+    },
+    tables: estimateRows(db),
+    statementCache: db.getStatementCacheStats(),
+    checkedAt: new Date().toISOString()
+  }
+}
+
+function comparePragmas(db, configuredPragmas) {
+  const comparison = {}
+  for (const [name, configured] of Object.entries(configuredPragmas)) {
+    if (
+      COMMAND_PRAGMAS.includes(name) ||
+      configured === false ||
+      configured === null ||
+      configured === undefined
+    ) {
+      continue
+    }
+    let actual
+    try {
+      actual = db.pragma(name, { simple: true })
+    } catch (err) {
+      actual = null
+    }
+    comparison[name] = {
+      configured,
+      actual,
+      matches: normalize(name, configured) === normalize(name, actual)
+    }
+  }
+  return comparison
+}
+
+// Compare pragma values the way SQLite reads them (e.g. `NORMAL` is 1, `WAL` is `wal`).
+function normalize(name, value) {
+  if (typeof value !== 'string') {
+    return value
+  }
+  const upper = value.toUpperCase()
+  if (PRAGMA_VALUE_NUMBERS[name] && upper in PRAGMA_VALUE_NUMBERS[name]) {
+    return PRAGMA_VALUE_NUMBERS[name][upper]
+  }
+  if (upper in BOOLEAN_NUMBERS) {
+    return BOOLEAN_NUMBERS[upper]
+  }
+  if (/^-?\d+$/.test(value)) {
+    return Number(value)
+  }
+  return value.toLowerCase()
+}
+
+// `sqlite_stat1` only exists once ANALYZE has run.  The first number in each
+// row's `stat` is the number of rows in the table (or in the index, which is
+// the same unless it is a partial index).
+function estimateRows(db) {
+  const hasStats = db
+    .prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'sqlite_stat1'"
+    )
+    .get()
+  if (!hasStats) {
+    return {}
+  }
+
+  const tables = {}
+  for (const { tbl, stat } of db
+    .prepare('SELECT tbl, stat FROM sqlite_stat1')
+    .all()) {
+    const estimatedRows = parseInt(stat, 10) || 0
+    if (!tables[tbl] || estimatedRows > tables[tbl].estimatedRows) {
+      tables[tbl] = { estimatedRows }
+    }
+  }
+  return tables
+}
@@ -0,0 +1,55 @@
+/**
+ * buildIndexDefinition()
+ *
+ * Build the name and CREATE INDEX statement for one of the indexes passed to
+ * `definePhysicalModel()` (i.e. from a model's `indexes` setting).
+ *
+ * > The statement is built the way SQLite stores it in `sqlite_master` (e.g. without
+ * > `IF NOT EXISTS`), so that an existing index can be compared against it.
+ *
+ * @param  {String} tableName
+ * @param  {Object} index
+ *         @property {Array}    columns   [column names, or `{ expression: 'lower(`email`)' }` for expression indexes]
+ *         @property {Boolean?} unique
+ *         @property {String?}  where     [makes this a partial index, e.g. '`deletedAt` IS NULL']
+ *         @property {String?}  name      [defaults to `idx_<table>_<columns>`]
+ *
+ * @returns {Object}  { name, sql }
+ */
+module.exports = function buildIndexDefinition(tableName, index) {
+  if (!Array.isArray(index.columns) || index.columns.length === 0) {
+    throw new Error(
+      `Invalid index on table \`${tableName}\`: \`columns\` should be a non-empty array.`
+    )
+  }
+  if (index.where !== undefined && typeof index.where !== 'string') {
+    throw new Error(
+      `Invalid index on table \`${tableName}\`: \`where\` should be a string of SQL.`
+    )
+  }
+
+  const terms = []
+  const nameParts = []
+  index.columns.forEach((column) => {
+    if (typeof column === 'string') {
+      terms.push(`\`${column}\``)
+      nameParts.push(column)
+    } else if (column && typeof column.expression === 'string') {
+      terms.push(column.expression)
+      nameParts.push(
+        column.expression.replace(/\W+/g, '_').replace(/^_|_$/g, '')
+      )
+    } else {
+      throw new Error(
+        `Invalid index on table \`${tableName}\`: each of the \`columns\` should be a column name or \`{ expression }\`.`
+      )
+    }
+  })
+
+  const name = index.name || `idx_${tableName}_${nameParts.join('_')}`
+  let sql = `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX \`${name}\` ON \`${tableName}\` (${terms.join(', ')})`
+  if (index.where) {
+    sql += ` WHERE ${index.where}`
+  }
+  return { name, sql }
+}
@@ -1,41 +1,164 @@
+const getColumnCollation = require('./get-column-collation')
+
 /**
  * buildSqliteWhereClause()
  *
- * Build a SQLite WHERE clause from the specified S3Q `where` clause.
+ * Build a parameterized SQLite WHERE clause from the specified S3Q `where` clause.
  * > Note: The provided `where` clause is NOT mutated.
+ * >
+ * > Values are never spliced into the SQL string. Instead, each one is replaced
+ * > with a `?` placeholder and pushed onto `bindings` (in order), so that the same
+ * > criteria shape always compiles to the same SQL (and can hit the prepared
+ * > statement cache).
+ * >
+ * > Columns whose attribute declares a `meta.collation` (e.g. `'NOCASE'`) are
+ * > compared with it for `=`, `!=`, `in`, `nin` and `like`, which keeps
+ * > those lookups able to use an index on the column.
+ * >
+ * > A full-text `search`, and the `jsonContains` / `jsonHasKey` JSON operators
+ * > (which Waterline has no modifiers for), come from `meta` instead, and
+ * > narrow down the results like any other constraint.
  *
  * @param  {Object} whereClause [`where` clause from the criteria of a S3Q]
  * @param  {Object} WLModel
  * @param  {Object?} meta       [`meta` query key from the s3q]
  *
- * @returns {String}            [SQLite WHERE clause]
+ * @returns {Object}            [{ sql: String, bindings: Array }]
  */
 module.exports = function buildSqliteWhereClause(whereClause, WLModel, meta) {
+  const bindings = []
+
+  // A full-text `search` and the JSON operators (via `meta`) narrow down the
+  // results like any other constraint.
+  const metaSql = [
+    buildSearchConstraint(WLModel, meta, bindings),
+    ...buildJsonConstraints(WLModel, meta, bindings)
+  ]
+    .filter(Boolean)
+    .join(' AND ')
+
   // Handle null, undefined, or empty `where` clause.
   if (!whereClause || Object.keys(whereClause).length === 0) {
-    return ''
+    return { sql: metaSql, bindings }
   }
 
   // Recursively build and return a transformed `where` clause for use with SQLite.
-  function recurse(branch, isRoot = true) {
+  function recurse(branch) {
     const clauses = []
     for (const [key, value] of Object.entries(branch)) {
       if (key === 'and' || key === 'or') {
-        const subClauses = value.map((subBranch) => recurse(subBranch, false))
+        const subClauses = value.map((subBranch) => recurse(subBranch))
         clauses.push(`(${subClauses.join(` ${key.toUpperCase()} `)})`)
       } else {
-        clauses.push(buildConstraint(key, value, WLModel, meta))
+        clauses.push(buildConstraint(key, value, bindings, WLModel, meta))
       }
     }
-    return isRoot ? clauses.join(' AND ') : clauses.join(' AND ')
+    return clauses.join(' AND ')
   }
 
-  return recurse(whereClause)
+  const sql = recurse(whereClause)
+  return { sql: metaSql ? `${metaSql} AND (${sql})` : sql, bindings }
 }
 
-function buildConstraint(columnName, constraint, WLModel, meta) {
+/**
+ * Build the constraint for a full-text search (i.e. `meta.search`), which
+ * matches the rows of a table with `fullTextSearch` against an FTS5 query.
+ *
+ * > `meta.search` is either the query itself (e.g. `'sqlite OR postgres'`), or
+ * > `{ query, rank }`. (Ranking is done by `findRecords()`.)
+ */
+function buildSearchConstraint(WLModel, meta, bindings) {
+  if (!meta || meta.search === undefined || meta.search === null) {
+    return undefined
+  }
+
+  const query =
+    typeof meta.search === 'object' ? meta.search.query : meta.search
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new Error(
+      'Invalid `search` in meta: should be a non-empty string, or `{ query, rank }`.'
+    )
+  }
+  if (!WLModel || !WLModel.fullTextSearch) {
+    throw new Error(
+      `Cannot \`search\` the table \`${WLModel && WLModel.tableName}\`: it has no \`fullTextSearch\` attributes in the datastore's \`tables\` config.`
+    )
+  }
+
+  const ftsTableName = `${WLModel.tableName}_fts`
+  bindings.push(query)
+  return `\`${WLModel.tableName}\`.rowid IN (SELECT rowid FROM \`${ftsTableName}\` WHERE \`${ftsTableName}\` MATCH ?)`
+}
+
+/**
+ * Build the constraints for the JSON operators in `meta`, which each map
+ * attributes (or dotted paths inside them, as in `where`) to a value:
+ *
+ * > `meta.jsonContains`: the array there must have the value as one of its
+ * > elements (or the object there, as one of its values).
+ * > `meta.jsonHasKey`: the object there must have the value as one of its keys
+ * > (or the array there, as one of its indexes).
+ */
+function buildJsonConstraints(WLModel, meta, bindings) {
+  const clauses = []
+  for (const [metaKey, jsonEachColumn] of [
+    ['jsonContains', 'value'],
+    ['jsonHasKey', 'key']
+  ]) {
+    const constraints = meta && meta[metaKey]
+    if (constraints === undefined || constraints === null) {
+      continue
+    }
+    if (typeof constraints !== 'object' || Array.isArray(constraints)) {
+      throw new Error(
+        `Invalid \`${metaKey}\` in meta: should be a dictionary of attribute names (or dotted paths) to values, e.g. \`{ tags: 'sqlite' }\`.`
+      )
+    }
+    for (const [key, value] of Object.entries(constraints)) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(
+          `Invalid \`${metaKey}\` in meta: the value for \`${key}\` should be a string, number or boolean.`
+        )
+      }
+      const target = resolveTarget(key, WLModel)
+      if (target.path !== undefined) {
+        bindings.push(target.path)
+      }
+      bindings.push(toBindableValue(value))
+      const jsonEach =
+        target.path !== undefined
+          ? `json_each(\`${target.columnName}\`, ?)`
+          : `json_each(\`${target.columnName}\`)`
+      clauses.push(
+        `EXISTS (SELECT 1 FROM ${jsonEach} WHERE ${jsonEachColumn} = ?)`
+      )
+    }
+  }
+  return clauses
+}
+
+function buildConstraint(columnName, constraint, bindings, WLModel, meta) {
+  const target = resolveTarget(columnName, WLModel)
+  if (target.path !== undefined) {
+    bindings.push(target.path)
+  }
+  const column =
+    target.path !== undefined
+      ? `json_extract(\`${target.columnName}\`, ?)`
+      : `\`${target.columnName}\``
+  // (JSON paths get no collation: the attribute's applies to the whole column.)
+  const collation =
+    target.path === undefined
+      ? getColumnCollation(WLModel, target.columnName)
+      : undefined
+  const collate = collation ? ` COLLATE ${collation}` : ''
+
   if (typeof constraint !== 'object' || constraint === null) {
-    return `${columnName} = ${sqliteEscape(constraint)}`
+    if (constraint === null) {
+      return `${column} IS NULL`
+    }
+    bindings.push(toBindableValue(constraint))
+    return `${column} = ?${collate}`
   }
 
   const modifierKind = Object.keys(constraint)[0]
@@ -43,19 +166,23 @@ function buildConstraint(columnName, constraint, WLModel, meta) {
 
   switch (modifierKind) {
     case '<':
-      return `${columnName} < ${sqliteEscape(modifier)}`
     case '<=':
-      return `${columnName} <= ${sqliteEscape(modifier)}`
     case '>':
-      return `${columnName} > ${sqliteEscape(modifier)}`
     case '>=':
-      return `${columnName} >= ${sqliteEscape(modifier)}`
+      bindings.push(toBindableValue(modifier))
+      return `${column} ${modifierKind} ?`
     case '!=':
-      return `${columnName} != ${sqliteEscape(modifier)}`
+      if (modifier === null) {
+        return `${column} IS NOT NULL`
+      }
+      bindings.push(toBindableValue(modifier))
+      return `${column} != ?${collate}`
     case 'nin':
-      return `${columnName} NOT IN (${modifier.map(sqliteEscape).join(', ')})`
+      bindings.push(...modifier.map(toBindableValue))
+      return `${column}${collate} NOT IN (${modifier.map(() => '?').join(', ')})`
     case 'in':
-      return `${columnName} IN (${modifier.map(sqliteEscape).join(', ')})`
+      bindings.push(...modifier.map(toBindableValue))
+      return `${column}${collate} IN (${modifier.map(() => '?').join(', ')})`
     case 'like':
       // SQLite uses LIKE with % and _ wildcards (not REGEXP)
       let likePattern = modifier
@@ -64,11 +191,16 @@ function buildConstraint(columnName, constraint, WLModel, meta) {
         // If no wildcards, assume they want contains behavior
         likePattern = `%${likePattern}%`
       }
-      let clause = `${columnName} LIKE '${likePattern.replace(/'/g, "''")}'`
+      bindings.push(likePattern)
+      // SQLite's LIKE already ignores (ASCII) case, and on a NOCASE column it
+      // can use the column's index, which wrapping it in LOWER() would prevent.
+      if (collation === 'NOCASE') {
+        return `${column} LIKE ?`
+      }
       if (meta && meta.makeLikeModifierCaseInsensitive === true) {
-        clause = `LOWER(${columnName}) LIKE LOWER('${likePattern.replace(/'/g, "''")}')`
+        return `LOWER(${column}) LIKE LOWER(?)`
       }
-      return clause
+      return `${column} LIKE ?`
     default:
       throw new Error(
         `Consistency violation: \`where\` clause modifier \`${modifierKind}\` is not valid! This should never happen-- a stage 3 query should have already been normalized in Waterline core.`
@@ -76,16 +208,53 @@ function buildConstraint(columnName, constraint, WLModel, meta) {
   }
 }
 
-function sqliteEscape(value) {
-  if (typeof value === 'string') {
-    return `'${value.replace(/'/g, "''")}'`
+/**
+ * Work out what a `where` clause key refers to: either a column, or (for a
+ * dotted key like `'settings.theme'`) a path inside a JSON column.
+ *
+ * @returns {Object}  { columnName, path? }
+ *                    [`path` is a JSON path for `json_extract()`, e.g. `'$.theme'`]
+ */
+function resolveTarget(key, WLModel) {
+  const attributes = Object.entries(
+    (WLModel && (WLModel.definition || WLModel.attributes)) || {}
+  )
+  const findAttrDef = (name) => {
+    const attribute =
+      attributes.find(([attrName, attrDef]) => attrDef.columnName === name) ||
+      attributes.find(([attrName, attrDef]) => attrName === name)
+    return attribute && attribute[1]
+  }
+
+  const attrDef = findAttrDef(key)
+  if (attrDef || !key.includes('.')) {
+    return { columnName: (attrDef && attrDef.columnName) || key }
+  }
+
+  const [head, ...segments] = key.split('.')
+  const headAttrDef = findAttrDef(head)
+  const path = segments
+    .map((segment) => {
+      if (/^\d+$/.test(segment)) return `[${segment}]`
+      if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `.${segment}`
+      return `."${segment}"`
+    })
+    .join('')
+  return {
+    columnName: (headAttrDef && headAttrDef.columnName) || head,
+    path: `$${path}`
   }
+}
+
+function toBindableValue(value) {
+  // better-sqlite3 refuses to bind booleans, and they are stored as
+  // integers anyway (see `reifyValuesToSet()`).
   if (typeof value === 'boolean') {
-    // Match the decimal format that SQLite stores (1.0, 0.0)
-    return value ? '1.0' : '0.0'
+    return value ? 1 : 0
   }
-  if (value === null) {
-    return 'NULL'
+  // Dates are stored as ISO strings, so compare against the same format.
+  if (value instanceof Date) {
+    return value.toISOString()
   }
   return value
 }
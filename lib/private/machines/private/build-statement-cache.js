@@ -0,0 +1,58 @@
+/**
+ * buildStatementCache()
+ *
+ * Build a size-bounded, least-recently-used cache of prepared statements.
+ * > A JavaScript Map iterates in insertion order, so re-inserting an entry on
+ * > every hit keeps the least recently used statement at the front, ready to
+ * > be evicted once the cache is full.
+ *
+ * @param  {Number} maxSize  [maximum number of statements to keep (0 disables caching)]
+ *
+ * @returns {Object}         [the statement cache]
+ */
+module.exports = function buildStatementCache(maxSize) {
+  const statements = new Map()
+  const stats = { hits: 0, misses: 0, evictions: 0 }
+
+  return {
+    /**
+     * Get the cached statement for `sql`, or prepare (and cache) a new one.
+     *
+     * @param  {String}   sql
+     * @param  {Function} prepare  [called with `sql` on a cache miss]
+     *
+     * @returns {Statement}
+     */
+    get(sql, prepare) {
+      if (statements.has(sql)) {
+        const stmt = statements.get(sql)
+        statements.delete(sql)
+        statements.set(sql, stmt)
+        stats.hits++
+        return stmt
+      }
+
+      stats.misses++
+      const stmt = prepare(sql)
+      if (maxSize <= 0) {
+        return stmt
+      }
+
+      statements.set(sql, stmt)
+      if (statements.size > maxSize) {
+        const leastRecentlyUsed = statements.keys().next().value
+        statements.delete(leastRecentlyUsed)
+        stats.evictions++
+      }
+      return stmt
+    },
+
+    clear() {
+      statements.clear()
+    },
+
+    getStats() {
+      return { ...stats, size: statements.size, maxSize }
+    }
+  }
+}
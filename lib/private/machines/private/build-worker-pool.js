@@ -0,0 +1,186 @@
+const path = require('node:path')
+const { Worker } = require('node:worker_threads')
+
+/**
+ * buildWorkerPool()
+ *
+ * Start a pool of worker threads that run read queries off the main thread,
+ * each on its own read-only connection (see `query-worker.js`).
+ *
+ * > better-sqlite3 is synchronous, so a slow query on the main thread stops the
+ * > whole process. In a worker it only holds up that worker. Each query goes to
+ * > the worker with the fewest queries in flight.
+ *
+ * @param  {Object} options
+ *         @property {Number} size                [number of worker threads]
+ *         @property {String} connectionString    [path to the database file]
+ *         @property {Object} pragmas             [pragmas to apply to each worker's connection]
+ *         @property {Number} statementCacheSize
+ *         @property {Number} timeout
+ *         @property {Number?} slowQueryThresholdMs
+ *         @property {Function?} reportQuery     [called with each query a worker ran, plus the `context` it ran in (see `instrument-connection.js`)]
+ *
+ * @returns {Object}
+ *          @property {Function} run       [run(machineName, query, models, context, cb) -- cb(err, result)]
+ *          @property {Function} close     [terminate the workers; returns a promise]
+ *          @property {Function} getStats
+ */
+module.exports = function buildWorkerPool(options) {
+  const workers = []
+  let nextQueryId = 1
+  let closed = false
+
+  for (let i = 0; i < options.size; i++) {
+    workers.push(startWorker())
+  }
+
+  function startWorker() {
+    const entry = {
+      worker: new Worker(path.join(__dirname, 'query-worker.js'), {
+        workerData: {
+          connectionString: options.connectionString,
+          pragmas: options.pragmas,
+          statementCacheSize: options.statementCacheSize,
+          timeout: options.timeout,
+          instrument: !!options.reportQuery,
+          slowQueryThresholdMs: options.slowQueryThresholdMs
+        }
+      }),
+      pending: new Map(),
+      // The models this worker was last sent (it keeps them between queries).
+      models: null,
+      ready: false
+    }
+
+    entry.worker.on('message', (message) => {
+      if (message.ready) {
+        entry.ready = true
+        return
+      }
+      const pending = entry.pending.get(message.id)
+      if (!pending) {
+        return
+      }
+      entry.pending.delete(message.id)
+      const { cb, context } = pending
+      if (message.queries && options.reportQuery) {
+        message.queries.forEach((query) =>
+          options.reportQuery({ ...query, ...context })
+        )
+      }
+      if (message.error) {
+        return cb(deserializeError(message.error))
+      }
+      return cb(null, restoreBuffers(message.result))
+    })
+
+    entry.worker.on('error', (err) => failPending(entry, err))
+
+    entry.worker.on('exit', (exitCode) => {
+      failPending(
+        entry,
+        new Error(
+          `A query worker stopped unexpectedly (exit code ${exitCode}).`
+        )
+      )
+      const index = workers.indexOf(entry)
+      if (closed || index === -1) {
+        return
+      }
+      // Replace a worker that crashed while serving queries, but not one that
+      // never got going (e.g. because the database file cannot be opened), or
+      // it would be restarted forever.
+      if (entry.ready) {
+        workers[index] = startWorker()
+      } else {
+        workers.splice(index, 1)
+      }
+    })
+
+    return entry
+  }
+
+  function failPending(entry, err) {
+    const pending = Array.from(entry.pending.values())
+    entry.pending.clear()
+    pending.forEach(({ cb }) => cb(err))
+  }
+
+  return {
+    run: function (machineName, query, models, context, cb) {
+      if (closed) {
+        return cb(new Error('Cannot run query: the worker pool is closed.'))
+      }
+      if (workers.length === 0) {
+        return cb(new Error('Cannot run query: no query workers are running.'))
+      }
+
+      const entry = workers.reduce((leastBusy, candidate) =>
+        candidate.pending.size < leastBusy.pending.size ? candidate : leastBusy
+      )
+      const message = { id: nextQueryId++, machineName, query }
+      if (entry.models !== models) {
+        message.models = models
+      }
+
+      try {
+        entry.worker.postMessage(message)
+      } catch (err) {
+        // e.g. the query contains something that cannot be cloned, like a function.
+        return cb(err)
+      }
+      entry.models = models
+      entry.pending.set(message.id, { cb, context })
+    },
+
+    close: function () {
+      closed = true
+      return Promise.all(
+        workers.splice(0).map((entry) => {
+          failPending(
+            entry,
+            new Error('Cannot run query: the datastore is being torn down.')
+          )
+          return entry.worker.terminate()
+        })
+      )
+    },
+
+    getStats: function () {
+      return {
+        workers: workers.length,
+        busyWorkers: workers.filter((entry) => entry.pending.size > 0).length,
+        queriesInFlight: workers.reduce(
+          (total, entry) => total + entry.pending.size,
+          0
+        )
+      }
+    }
+  }
+}
+
+function deserializeError(serialized) {
+  const err = new Error(serialized.message)
+  ;['name', 'stack', 'code', 'footprint'].forEach((key) => {
+    if (serialized[key] !== undefined) {
+      err[key] = serialized[key]
+    }
+  })
+  return err
+}
+
+// Buffers (e.g. BLOB columns) arrive from a worker as plain Uint8Arrays.
+function restoreBuffers(value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+  }
+  if (Array.isArray(value)) {
+    return value.map(restoreBuffers)
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    for (const key of Object.keys(value)) {
+      value[key] = restoreBuffers(value[key])
+    }
+  }
+  return value
+}
@@ -0,0 +1,101 @@
+const _ = require('@sailshq/lodash')
+const compileStatement = require('./compile-statement')
+
+/**
+ * compileChildStatement()
+ *
+ * Compile one of the child statement templates built by `convertJoinCriteria()`
+ * into a correlated subquery, to be selected alongside the parent's columns,
+ * that returns the children of the current parent row as a JSON array.
+ *
+ * > The last clause of the template's WHERE is a placeholder for the parent
+ * > key(s). It is replaced with a comparison against the parent row's key, so
+ * > the populate's own `sort`, `limit` and `skip` apply to each parent's
+ * > children directly.
+ * >
+ * > BLOB values can't be put in JSON, so they are sent as `[<hex>]` instead
+ * > (see `parseChildRecords()` in `join.js`).
+ *
+ * @param  {Object} template     [a child statement, as built by `convertJoinCriteria()`]
+ * @param  {String} parentTable  [the name (or alias) of the parent table in the outer query]
+ *
+ * @returns {Object}  { sql, bindings }
+ */
+module.exports = function compileChildStatement(template, parentTable) {
+  const statement = _.cloneDeep(template.statement)
+  const instructions = _.isArray(template.instructions)
+    ? template.instructions
+    : [template.instructions]
+
+  const parentClause = statement.where.and.pop()
+  const foreignKey = _.first(_.keys(parentClause))
+  const parentKey = `${parentTable}.${_.first(instructions).parentKey}`
+
+  statement.orderBy = _.map(statement.orderBy, (orderItem) =>
+    _.isString(orderItem) ? { [orderItem]: 'ASC' } : orderItem
+  )
+
+  // Many-to-many templates join the junction table, which has its own primary
+  // key, so sort on the child's columns explicitly.
+  if (statement.leftOuterJoin) {
+    const childInstructions = _.last(instructions)
+    statement.orderBy = statement.orderBy.map((orderItem) =>
+      _.mapKeys(orderItem, (direction, key) =>
+        key.includes('.') ? key : `${childInstructions.childAlias}.${key}`
+      )
+    )
+  }
+
+  const orderBy = statement.orderBy
+  const skip = statement.skip || 0
+  const limit = typeof statement.limit === 'number' ? statement.limit : -1
+  delete statement.orderBy
+  delete statement.limit
+  delete statement.skip
+
+  // Add the comparison against the parent row to the WHERE clause (if any).
+  const compiled = compileStatement(statement)
+  const hasWhere =
+    compiled.sql.length >
+    compileStatement(_.omit(statement, 'where')).sql.length
+  const orderSql = orderBy.length
+    ? ` ORDER BY ${orderBy.map(formatOrderItem).join(', ')}`
+    : ''
+  const childSql = `${compiled.sql} ${hasWhere ? 'AND' : 'WHERE'} ${quoteIdentifier(foreignKey)} = ${quoteIdentifier(parentKey)}${orderSql} LIMIT ? OFFSET ?`
+
+  const jsonObject = statement.select
+    .map((column) => {
+      const name = getColumnName(column)
+      const value = `\`${name}\``
+      return `'${name}', CASE typeof(${value}) WHEN 'blob' THEN json_array(hex(${value})) ELSE ${value} END`
+    })
+    .join(', ')
+
+  return {
+    sql: `(SELECT json_group_array(json_object(${jsonObject})) FROM (${childSql}))`,
+    bindings: compiled.bindings.concat([limit, skip])
+  }
+}
+
+// The name of a selected column in the result, e.g. `'_parent_fk'` for
+// `'junction.user_tags as _parent_fk'`, or `'label'` for `'tag__tags.label'`.
+function getColumnName(column) {
+  if (column.includes(' as ')) {
+    return column.split(' as ')[1].trim()
+  }
+  return _.last(column.split('.'))
+}
+
+function formatOrderItem(orderItem) {
+  const key = _.first(_.keys(orderItem))
+  const direction =
+    String(orderItem[key]).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
+  return `${quoteIdentifier(key)} ${direction}`
+}
+
+function quoteIdentifier(key) {
+  return key
+    .split('.')
+    .map((part) => `\`${part}\``)
+    .join('.')
+}
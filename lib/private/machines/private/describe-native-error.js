@@ -0,0 +1,267 @@
+/**
+ * describeNativeError()
+ *
+ * Work out the Waterline-style `code` and `footprint` for an error from SQLite,
+ * from its (extended) result code and message.
+ *
+ * > Every footprint has an `identity`, the `table` the error was about (or
+ * > `null`) and the columns involved as `keys` (possibly none). Those for
+ * > constraint violations also name the failing `constraint`.
+ * >
+ * > SQLite does not say which column a foreign key violation is about, so when
+ * > `context` is provided, the database is inspected to find out. When rows
+ * > elsewhere still point at the rows being changed (e.g. a restricted delete),
+ * > `table` is the table those rows are in, and `keys` their column(s).
+ *
+ * @param  {Error}   err
+ * @param  {Object?} context
+ *         @property {Database} db
+ *         @property {String}   tableName  [the table that was written to]
+ *         @property {Array?}   records    [the values that were inserted/set, keyed by column name (omit for deletes)]
+ *         @property {Object?}  WLModel    [the model for `tableName`, to give the keys of a UNIQUE violation as attribute names]
+ *
+ * @returns {Object}
+ *          @property {String} name       [`UsageError` if the query (or its values) was to blame, `Error` otherwise]
+ *          @property {String} code       [e.g. `E_UNIQUE`]
+ *          @property {Object} footprint
+ */
+module.exports = function describeNativeError(err, context) {
+  const message = String(err.message || '')
+  const table = (context && context.tableName) || findTableName(message) || null
+  const describe = (name, code, identity, details) => ({
+    name,
+    code,
+    footprint: { identity, table, keys: [], ...details }
+  })
+
+  // better-sqlite3 uses string-based error codes, e.g. `SQLITE_IOERR_READ` for
+  // the extended result code of SQLITE_IOERR.
+  const code = String(err.code || '')
+  const primaryCode = (code.match(/^SQLITE_[A-Z]+/) || [''])[0]
+
+  switch (primaryCode) {
+    case 'SQLITE_CONSTRAINT':
+      return describeConstraintViolation(code, message, context, describe)
+
+    case 'SQLITE_BUSY':
+      return describe('UsageError', 'E_BUSY', 'busy')
+
+    case 'SQLITE_LOCKED':
+      return describe('UsageError', 'E_LOCKED', 'locked')
+
+    case 'SQLITE_READONLY':
+      return describe('UsageError', 'E_READONLY', 'readonly')
+
+    case 'SQLITE_FULL':
+      return describe('UsageError', 'E_FULL', 'full')
+
+    case 'SQLITE_TOOBIG':
+      return describe('UsageError', 'E_TOOBIG', 'tooBig')
+
+    case 'SQLITE_INTERRUPT':
+      return describe('Error', 'E_INTERRUPT', 'interrupted')
+
+    case 'SQLITE_CORRUPT':
+    case 'SQLITE_NOTADB':
+      return describe('Error', 'E_CORRUPT', 'corrupt')
+
+    case 'SQLITE_IOERR':
+      return describe('Error', 'E_IOERR', 'ioError')
+
+    case 'SQLITE_CANTOPEN':
+      return describe('Error', 'E_CANTOPEN', 'cantOpen')
+
+    default:
+      return describe('Error', 'E_UNKNOWN', 'catchall')
+  }
+}
+
+// Describe a constraint violation from its extended result code (or, for a
+// plain SQLITE_CONSTRAINT, from the message).
+function describeConstraintViolation(code, message, context, describe) {
+  if (
+    code === 'SQLITE_CONSTRAINT_UNIQUE' ||
+    code === 'SQLITE_CONSTRAINT_PRIMARYKEY' ||
+    message.includes('UNIQUE constraint failed')
+  ) {
+    return describe('UsageError', 'E_UNIQUE', 'notUnique', {
+      constraint:
+        code === 'SQLITE_CONSTRAINT_PRIMARYKEY' ? 'PRIMARY KEY' : 'UNIQUE',
+      ...findUniqueColumns(message, context)
+    })
+  }
+
+  if (
+    code === 'SQLITE_CONSTRAINT_FOREIGNKEY' ||
+    message.includes('FOREIGN KEY constraint failed')
+  ) {
+    return describe('UsageError', 'E_FOREIGN_KEY', 'foreignKey', {
+      constraint: 'FOREIGN KEY',
+      ...findForeignKeyColumns(context)
+    })
+  }
+
+  // Anything else (e.g. CHECK, NOT NULL, a STRICT column type or a trigger's
+  // RAISE(ABORT, …))
+  return describe('UsageError', 'E_CONSTRAINT', 'violation', {
+    constraint: code.replace(/^SQLITE_CONSTRAINT_?/, '') || null,
+    ...describeFailedConstraint(message)
+  })
+}
+
+// Work out which columns a UNIQUE (or PRIMARY KEY) violation was about, from
+// SQLite's error message, which lists each one as `<table>.<column>` (e.g.
+// "UNIQUE constraint failed: users.org, users.email"), or names the index
+// for a unique index on an expression. Columns are given as attribute names
+// when the model is known, so the keys line up with the model's attributes.
+function findUniqueColumns(message, context) {
+  const { db, tableName, WLModel } = context || {}
+  const failed = (message.match(/UNIQUE constraint failed: (.+)$/) || [])[1]
+  if (!failed) {
+    return {}
+  }
+
+  let table = tableName
+  let columns
+  const indexMatch = failed.match(/^index '(.+)'$/)
+  if (indexMatch) {
+    columns = findIndexColumns(db, indexMatch[1])
+  } else if (tableName && failed.startsWith(`${tableName}.`)) {
+    // (Table and column names can contain dots and commas, so rather than
+    // splitting on those, split on the table name that prefixes each column.)
+    columns = failed.slice(tableName.length + 1).split(`, ${tableName}.`)
+  } else {
+    const qualifiedColumns = failed.split(', ')
+    table = qualifiedColumns[0].slice(0, qualifiedColumns[0].lastIndexOf('.'))
+    columns = qualifiedColumns.map((qualifiedColumn) =>
+      qualifiedColumn.slice(qualifiedColumn.lastIndexOf('.') + 1)
+    )
+  }
+
+  return {
+    ...(table ? { table } : {}),
+    ...(indexMatch ? { constraint: indexMatch[1] } : {}),
+    keys: columns.map((columnName) => getAttributeName(WLModel, columnName))
+  }
+}
+
+// Look up the (named) columns of an index, e.g. one on `lower(email)` has none.
+function findIndexColumns(db, indexName) {
+  if (!db) {
+    return []
+  }
+  try {
+    return db
+      .prepare('SELECT name FROM pragma_index_info(?)')
+      .all(indexName)
+      .map(({ name }) => name)
+      .filter(Boolean)
+  } catch (inspectionErr) {
+    // The footprint is best-effort; never let it hide the original error.
+    return []
+  }
+}
+
+// Look up the name of the attribute stored in a column (or, failing that, give
+// the column name back).
+function getAttributeName(WLModel, columnName) {
+  const attributes = Object.entries(
+    (WLModel && (WLModel.definition || WLModel.attributes)) || {}
+  )
+  const attribute = attributes.find(
+    ([attrName, attrDef]) => (attrDef.columnName || attrName) === columnName
+  )
+  return attribute ? attribute[0] : columnName
+}
+
+// Find the table an error message is about, where SQLite mentions one
+// (e.g. "NOT NULL constraint failed: users.name").
+function findTableName(message) {
+  const match = message.match(/(?:constraint failed:|column) ([^\s.,]+)\./)
+  return match ? match[1] : undefined
+}
+
+// Work out which foreign key column(s) a violation was about: either a value
+// that points at a missing row, or (failing that) a column in another table
+// that still points at the rows being changed, along with that table.
+function findForeignKeyColumns(context) {
+  if (!context || !context.db) {
+    return {}
+  }
+  const { db, tableName, records } = context
+
+  try {
+    if (records) {
+      const offendingColumns = db
+        .prepare('SELECT * FROM pragma_foreign_key_list(?)')
+        .all(tableName)
+        .filter((foreignKey) =>
+          records.some((record) => {
+            const value = record[foreignKey.from]
+            if (value === undefined || value === null) {
+              return false
+            }
+            const parentColumn = foreignKey.to
+              ? `\`${foreignKey.to}\``
+              : 'rowid'
+            return !db
+              .prepare(
+                `SELECT 1 FROM \`${foreignKey.table}\` WHERE ${parentColumn} = ?`
+              )
+              .get(value)
+          })
+        )
+        .map((foreignKey) => foreignKey.from)
+      if (offendingColumns.length > 0) {
+        return { keys: offendingColumns }
+      }
+    }
+
+    // (If rows in more than one table could be to blame, name the first.)
+    const action = records ? 'on_update' : 'on_delete'
+    const referencingTable = db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+      .all()
+      .map(({ name }) => ({
+        table: name,
+        keys: db
+          .prepare('SELECT * FROM pragma_foreign_key_list(?)')
+          .all(name)
+          .filter(
+            (foreignKey) =>
+              foreignKey.table === tableName &&
+              ['NO ACTION', 'RESTRICT'].includes(foreignKey[action])
+          )
+          .map((foreignKey) => foreignKey.from)
+      }))
+      .find(({ keys }) => keys.length > 0)
+    return referencingTable || {}
+  } catch (inspectionErr) {
+    // The footprint is best-effort; never let it hide the original error.
+    return {}
+  }
+}
+
+// Work out which constraint failed (and on which column, where possible) from
+// SQLite's error message. CHECK constraints generated from attribute validations
+// are named `<column>_<rule>` (see `buildCheckConstraints()`).
+function describeFailedConstraint(message) {
+  let match = message.match(/CHECK constraint failed: (.+)$/)
+  if (match) {
+    const constraint = match[1].trim()
+    const ruleMatch = constraint.match(/^(.+)_(isIn|min|max|maxLength)$/)
+    return { constraint, keys: ruleMatch ? [ruleMatch[1]] : [] }
+  }
+
+  match = message.match(/NOT NULL constraint failed: .+\.([^.]+)$/)
+  if (match) {
+    return { constraint: 'NOT NULL', keys: [match[1]] }
+  }
+
+  match = message.match(/cannot store \w+ value in \w+ column .+\.([^.]+)$/)
+  if (match) {
+    return { constraint: 'STRICT', keys: [match[1]] }
+  }
+
+  return { keys: [] }
+}
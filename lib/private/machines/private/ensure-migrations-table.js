@@ -0,0 +1,22 @@
+/**
+ * ensureMigrationsTable()
+ *
+ * Create the table that tracks which migrations have run (if it does not exist yet),
+ * and return the migrations recorded in it, oldest first.
+ *
+ * @param  {Database} db
+ * @param  {String}   tableName
+ *
+ * @returns {Array}   [{ name: String, batch: Number, migratedAt: String }]
+ */
+module.exports = function ensureMigrationsTable(db, tableName) {
+  db.prepare(
+    `CREATE TABLE IF NOT EXISTS \`${tableName}\` (\`id\` INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, \`name\` TEXT NOT NULL UNIQUE, \`batch\` INTEGER NOT NULL, \`migratedAt\` TEXT NOT NULL)`
+  ).run()
+
+  return db
+    .prepare(
+      `SELECT \`name\`, \`batch\`, \`migratedAt\` FROM \`${tableName}\` ORDER BY \`id\``
+    )
+    .all()
+}
@@ -0,0 +1,76 @@
+// How many rows a table needs before a full scan of it gets a warning.
+const LARGE_TABLE_ROWS = 10000
+
+/**
+ * explainQuery()
+ *
+ * Report the `EXPLAIN QUERY PLAN` for a statement a machine is about to run
+ * (for `meta.explain`), and warn about any full scan of a large table.
+ *
+ * > A table's size comes from `sqlite_stat1` (as of the last ANALYZE), or
+ * > else from its largest rowid, so this never has to count its rows.
+ *
+ * @param  {Database}          db
+ * @param  {String}            sql
+ * @param  {Array}             bindings
+ * @param  {Boolean|Function}  explain  [`meta.explain`: a function to call with the report, or `true` to log it]
+ *
+ * @returns {Object}  [{ sql, bindings, plan, fullScans }]
+ */
+module.exports = function explainQuery(db, sql, bindings, explain) {
+  const plan = db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...bindings)
+
+  const fullScans = []
+  for (const step of plan) {
+    // e.g. `SCAN user`, but not `SCAN user USING INDEX …`
+    const match = /^SCAN (?:TABLE )?(\S+)$/.exec(step.detail)
+    if (!match) {
+      continue
+    }
+    const estimatedRows = estimateRows(db, match[1])
+    fullScans.push({ table: match[1], estimatedRows })
+    if (estimatedRows !== null && estimatedRows >= LARGE_TABLE_ROWS) {
+      console.warn(
+        `Warning: Full scan of \`${match[1]}\` (about ${estimatedRows} rows) in query: ${sql}`
+      )
+    }
+  }
+
+  const report = { sql, bindings, plan, fullScans }
+  if (typeof explain === 'function') {
+    explain(report)
+  } else {
+    console.log(
+      `Query plan for: ${sql}\n` +
+        plan.map((step) => `  ${step.detail}`).join('\n')
+    )
+  }
+  return report
+}
+
+function estimateRows(db, tableName) {
+  try {
+    const hasStats = db
+      .prepare(
+        "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'sqlite_stat1'"
+      )
+      .get()
+    const analyzedRows = hasStats
+      ? db
+          .prepare(
+            'SELECT MAX(CAST(stat AS INTEGER)) FROM sqlite_stat1 WHERE tbl = ?'
+          )
+          .pluck()
+          .get(tableName)
+      : null
+    if (analyzedRows !== null) {
+      return analyzedRows
+    }
+    return (
+      db.prepare(`SELECT MAX(rowid) FROM \`${tableName}\``).pluck().get() || 0
+    )
+  } catch (err) {
+    // e.g. an alias rather than a table name, or a WITHOUT ROWID table.
+    return null
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * getColumnCollation()
+ *
+ * Look up the collation declared for a column in its attribute's meta (e.g.
+ * `meta: { collation: 'NOCASE' }`), so that queries compare and sort its
+ * values the same way the column (and any index on it) does.
+ *
+ * @param  {Object}  WLModel
+ * @param  {String}  columnName
+ *
+ * @returns {String?}  [the collation, e.g. `'NOCASE'`, or `undefined` if none was declared]
+ */
+module.exports = function getColumnCollation(WLModel, columnName) {
+  const attributes = Object.entries(
+    (WLModel && (WLModel.definition || WLModel.attributes)) || {}
+  )
+  const attribute =
+    attributes.find(
+      ([attrName, attrDef]) => attrDef.columnName === columnName
+    ) || attributes.find(([attrName, attrDef]) => attrName === columnName)
+  const collation = attribute && (attribute[1].meta || {}).collation
+  return collation ? String(collation).toUpperCase() : undefined
+}
@@ -0,0 +1,102 @@
+// The statement methods that run a query.
+const RUN_METHODS = ['run', 'get', 'all']
+
+/**
+ * instrumentConnection()
+ *
+ * Time every statement a connection runs, and report each one.
+ *
+ * > This replaces the connection's own `prepare()` and `exec()`, so it also
+ * > covers statements from `getPreparedStatement()` (but not `pragma()`,
+ * > which prepares its statement internally). Each report includes the
+ * > `connection.queryContext` (the `method` and `model` of the query being
+ * > run, if any). Statements that take at least `slowQueryThresholdMs` also
+ * > get their `EXPLAIN QUERY PLAN` attached, as `plan`.
+ *
+ * @param  {Database}  connection
+ * @param  {Number?}   slowQueryThresholdMs
+ * @param  {Function}  report  [called with { sql, bindings, durationMs, rows, method, model, plan? }]
+ */
+module.exports = function instrumentConnection(
+  connection,
+  slowQueryThresholdMs,
+  report
+) {
+  const prepare = connection.prepare
+  const exec = connection.exec
+
+  function finish(sql, bindings, startedAt, rows) {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6
+    const context = connection.queryContext || {}
+    const query = {
+      sql,
+      bindings,
+      durationMs,
+      rows,
+      method: context.method,
+      model: context.model
+    }
+    if (
+      slowQueryThresholdMs !== undefined &&
+      durationMs >= slowQueryThresholdMs
+    ) {
+      query.plan = explain(sql, bindings)
+    }
+    report(query)
+  }
+
+  function explain(sql, bindings) {
+    try {
+      return prepare
+        .call(connection, `EXPLAIN QUERY PLAN ${sql}`)
+        .all(...bindings)
+        .map((step) => step.detail)
+    } catch (err) {
+      // e.g. `BEGIN` or `CREATE TABLE`, which have no query plan.
+      return null
+    }
+  }
+
+  connection.prepare = function (sql) {
+    const statement = prepare.call(this, sql)
+    const instrumented = new Proxy(statement, {
+      get(target, property) {
+        const value = Reflect.get(target, property)
+        if (typeof value !== 'function') {
+          return value
+        }
+        if (RUN_METHODS.includes(property)) {
+          return function (...args) {
+            const startedAt = process.hrtime.bigint()
+            const result = value.apply(target, args)
+            finish(
+              sql,
+              // (Like better-sqlite3, take an array of values as separate ones.)
+              args.flat(),
+              startedAt,
+              property === 'run'
+                ? result.changes
+                : property === 'all'
+                  ? result.length
+                  : Number(result !== undefined)
+            )
+            return result
+          }
+        }
+        // Keep chained calls (e.g. `.pluck().all()`) instrumented.
+        return function (...args) {
+          const result = value.apply(target, args)
+          return result === target ? instrumented : result
+        }
+      }
+    })
+    return instrumented
+  }
+
+  connection.exec = function (sql) {
+    const startedAt = process.hrtime.bigint()
+    const result = exec.call(this, sql)
+    finish(sql, [], startedAt, 0)
+    return result
+  }
+}
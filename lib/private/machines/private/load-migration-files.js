@@ -0,0 +1,45 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * loadMigrationFiles()
+ *
+ * Load the migration files in the given directory, in the order they should run.
+ * > Migrations run in lexicographic order of their file names, so name them with
+ * > a sortable prefix (e.g. `20250101120000-create-users.js`).
+ *
+ * @param  {String} directory  [absolute path to the migrations directory]
+ *
+ * @returns {Array}            [{ name: String, up: Function, down: Function? }]
+ */
+module.exports = function loadMigrationFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    return []
+  }
+
+  return fs
+    .readdirSync(directory)
+    .filter((fileName) => /\.c?js$/.test(fileName))
+    .sort()
+    .map((fileName) => {
+      const migration = require(path.join(directory, fileName))
+      if (typeof migration.up !== 'function') {
+        throw new Error(
+          `Migration \`${fileName}\` must export an \`up(db)\` function.`
+        )
+      }
+      if (
+        migration.down !== undefined &&
+        typeof migration.down !== 'function'
+      ) {
+        throw new Error(
+          `Migration \`${fileName}\` exports a \`down\` that is not a function.`
+        )
+      }
+      return {
+        name: fileName,
+        up: migration.up,
+        down: migration.down
+      }
+    })
+}
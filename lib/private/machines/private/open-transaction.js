@@ -0,0 +1,94 @@
+const TRANSACTION_MODES = require('../../constants/transaction-modes')
+
+// For naming savepoints (which only need to be unique while they are open).
+let savepointCount = 0
+
+/**
+ * openTransaction()
+ *
+ * Begin a transaction on a connection or, if it is already in one, a
+ * savepoint nested inside that transaction.
+ *
+ * > Rolling back a savepoint only undoes what was done since it was opened,
+ * > and leaves the enclosing transaction open, so a failure inside a nested
+ * > unit of work can be recovered from. Committing a savepoint just releases
+ * > it: its changes become part of the enclosing transaction, and are only
+ * > saved once that commits.
+ * >
+ * > Each connection keeps a stack of the transactions opened this way (as
+ * > `connection.openTransactions`), so that `commitTransaction()` and
+ * > `rollbackTransaction()` know which one to finish. They must be finished
+ * > innermost first.
+ * >
+ * > The `mode` says when a new transaction takes the write lock: DEFERRED
+ * > waits for its first write, which (in WAL mode) fails with SQLITE_BUSY if
+ * > another connection has written since the transaction first read. IMMEDIATE
+ * > takes it right away, waiting up to `busy_timeout` for it. (A savepoint has
+ * > no mode of its own: it is part of the enclosing transaction.)
+ *
+ * @param  {Database} db
+ * @param  {String?}  mode  [DEFERRED (the default), IMMEDIATE or EXCLUSIVE]
+ *
+ * @returns {Object}
+ *          @property {Boolean}  isNested  [whether this is a savepoint]
+ *          @property {Function} commit
+ *          @property {Function} rollback
+ */
+module.exports = function openTransaction(db, mode) {
+  const beginMode = String(mode || 'DEFERRED').toUpperCase()
+  if (!TRANSACTION_MODES.includes(beginMode)) {
+    throw new Error(
+      `Invalid \`transactionMode\` (${mode}): should be one of ${TRANSACTION_MODES.join(', ')}.`
+    )
+  }
+
+  // Whatever was on the stack is stale if the connection is not in a
+  // transaction (e.g. SQLite rolled it back after an error).
+  if (!db.inTransaction || !db.openTransactions) {
+    db.openTransactions = []
+  }
+  const stack = db.openTransactions
+
+  let transaction
+  if (!db.inTransaction) {
+    db.prepare(`BEGIN ${beginMode}`).run()
+    transaction = {
+      isNested: false,
+      commit: () => finish(() => db.prepare('COMMIT').run()),
+      rollback: () =>
+        finish(() => {
+          if (db.inTransaction) {
+            db.prepare('ROLLBACK').run()
+          }
+        })
+    }
+  } else {
+    const name = `sails_savepoint_${++savepointCount}`
+    db.prepare(`SAVEPOINT ${name}`).run()
+    transaction = {
+      isNested: true,
+      commit: () => finish(() => db.prepare(`RELEASE ${name}`).run()),
+      rollback: () =>
+        finish(() => {
+          // (Some errors, e.g. SQLITE_FULL, roll back the whole transaction.)
+          if (db.inTransaction) {
+            db.prepare(`ROLLBACK TO ${name}`).run()
+            db.prepare(`RELEASE ${name}`).run()
+          }
+        })
+    }
+  }
+
+  function finish(end) {
+    if (stack[stack.length - 1] !== transaction) {
+      throw new Error(
+        'Cannot finish this transaction before the ones nested inside it.'
+      )
+    }
+    end()
+    stack.pop()
+  }
+
+  stack.push(transaction)
+  return transaction
+}
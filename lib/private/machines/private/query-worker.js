@@ -0,0 +1,116 @@
+/**
+ * Query worker
+ *
+ * The entry point of each worker thread started by `buildWorkerPool()`. It opens
+ * its own read-only connection to the database file, then runs read queries
+ * (see `read-machines.js`) as the main thread sends them over.
+ *
+ * > Messages in:  { id, machineName, query, models? }  (`models` is only sent
+ * >               when it changed since the last query)
+ * > Messages out: { ready: true } once the connection is open, then
+ * >               { id, result } or { id, error } for each query (plus the
+ * >               `queries` it ran, when instrumented)
+ */
+
+const { parentPort, workerData } = require('node:worker_threads')
+const Database = require('better-sqlite3')
+const Machine = require('machine')
+const buildStatementCache = require('./build-statement-cache')
+const READ_MACHINES = require('./read-machines')
+const instrumentConnection = require('./instrument-connection')
+
+const {
+  connectionString,
+  pragmas,
+  statementCacheSize,
+  timeout,
+  instrument,
+  slowQueryThresholdMs
+} = workerData
+
+const db = new Database(connectionString, {
+  readonly: true,
+  fileMustExist: true,
+  timeout
+})
+Object.entries(pragmas).forEach(([key, value]) => {
+  try {
+    db.pragma(`${key} = ${value}`)
+  } catch (pragmaError) {
+    console.warn(
+      `Warning: Could not set pragma ${key} = ${value} in a query worker:`,
+      pragmaError.message
+    )
+  }
+})
+
+const preparedStatements = buildStatementCache(statementCacheSize)
+db.getPreparedStatement = function (sql) {
+  return preparedStatements.get(sql, (sqlToPrepare) =>
+    this.prepare(sqlToPrepare)
+  )
+}
+
+// The statements run for the current query, to send back along with its
+// result (to be reported on the main thread).
+let queries = []
+if (instrument) {
+  instrumentConnection(db, slowQueryThresholdMs, (query) => queries.push(query))
+}
+
+parentPort.postMessage({ ready: true })
+
+const performQueries = {}
+let models = {}
+
+parentPort.on('message', ({ id, machineName, query, models: newModels }) => {
+  if (newModels) {
+    models = newModels
+  }
+
+  const machineDef = READ_MACHINES[machineName]
+  if (!machineDef) {
+    return parentPort.postMessage({
+      id,
+      error: { message: `Unknown read machine: \`${machineName}\`` }
+    })
+  }
+  performQueries[machineName] =
+    performQueries[machineName] || Machine.build(machineDef)
+
+  queries = []
+  const reply = (message) =>
+    parentPort.postMessage(instrument ? { ...message, queries } : message)
+
+  try {
+    performQueries[machineName]({
+      query,
+      connection: db,
+      dryOrm: { models }
+    }).switch({
+      error: function (err) {
+        reply({ id, error: serializeError(err) })
+      },
+      success: function (result) {
+        reply({ id, result })
+      }
+    })
+  } catch (err) {
+    reply({ id, error: serializeError(err) })
+  }
+})
+
+// Errors lose their own properties (e.g. `code`) when they are cloned, so send
+// them over as plain objects.
+function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return { message: String(err) }
+  }
+  return {
+    name: err.name,
+    message: err.message,
+    stack: err.stack,
+    code: err.code,
+    footprint: err.footprint
+  }
+}
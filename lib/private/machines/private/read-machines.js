@@ -0,0 +1,13 @@
+/**
+ * The machines that only ever read from the database, keyed by file name.
+ *
+ * > These can run on any connection, including the read-only one in a query
+ * > worker (see `query-worker.js`), which looks them up by name.
+ */
+module.exports = {
+  'find-records': require('../find-records'),
+  'count-records': require('../count-records'),
+  'sum-records': require('../sum-records'),
+  'avg-records': require('../avg-records'),
+  join: require('../join')
+}
@@ -0,0 +1,60 @@
+// The error codes (raw from SQLite, or as set by `processNativeError()`) that
+// mean the database was busy or locked, and the work could succeed if tried again.
+const BUSY_CODES = /^(?:SQLITE_BUSY|SQLITE_LOCKED|E_BUSY$|E_LOCKED$)/
+
+/**
+ * retryWhenBusy()
+ *
+ * Call `attempt` and, each time it fails because the database is busy or
+ * locked (e.g. another process is writing to it), call it again after a
+ * delay, up to `retry.maxRetries` times.
+ *
+ * > SQLite itself already waits up to `busy_timeout` for a lock on each
+ * > attempt, so once the work has taken that long in all, it is not tried
+ * > again: a query gives up after about `busy_timeout` (plus at most one more
+ * > attempt's wait), rather than `maxRetries` times that.
+ *
+ * > The delays grow exponentially from `retry.baseDelayMs` (up to
+ * > `retry.maxDelayMs`), and each one is picked at random from zero up to that
+ * > ("full jitter"), so processes that collided once are unlikely to collide
+ * > again. Each retry is reported to `retry.onRetry`, if any.
+ * >
+ * > Only retry work that has had no effect when it fails this way: a statement
+ * > run on its own, or a whole transaction that was rolled back. (A statement
+ * > inside a transaction that is still open can't be retried on its own: in
+ * > WAL mode, the transaction keeps seeing the same out-of-date snapshot.)
+ *
+ * @param  {Object?}   retry    [the datastore's `retry` options (plus its `busyTimeoutMs`), or `null` to not retry]
+ * @param  {Object}    context  [reported to `onRetry` along with each retry, e.g. `{ method, model }`]
+ * @param  {Function}  attempt  [attempt(cb) -- cb(err, result)]
+ * @param  {Function}  done     [done(err, result)]
+ */
+module.exports = function retryWhenBusy(retry, context, attempt, done) {
+  const startedAt = Date.now()
+  let retries = 0
+  attempt(function next(err, result) {
+    if (
+      !err ||
+      !retry ||
+      retries >= retry.maxRetries ||
+      !BUSY_CODES.test(err.code) ||
+      (retry.busyTimeoutMs > 0 && Date.now() - startedAt >= retry.busyTimeoutMs)
+    ) {
+      return done(err, result)
+    }
+
+    retries++
+    const delayMs = Math.round(
+      Math.random() *
+        Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (retries - 1))
+    )
+    if (retry.onRetry) {
+      try {
+        retry.onRetry({ ...context, attempt: retries, delayMs, error: err })
+      } catch (hookErr) {
+        console.warn('Warning: `onRetry` threw an error:', hookErr)
+      }
+    }
+    setTimeout(() => attempt(next), delayMs)
+  })
+}
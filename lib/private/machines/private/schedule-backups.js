@@ -0,0 +1,113 @@
+const fs = require('fs')
+const path = require('path')
+
+// How many backups to keep when no `retain` is configured.
+const DEFAULT_RETAIN = 7
+
+/**
+ * scheduleBackups()
+ *
+ * Back up a datastore every `interval` milliseconds into `directory`, keeping
+ * only the `retain` most recent backups.
+ *
+ * > Backups are named after the database file plus a timestamp, e.g.
+ * > `app-2024-01-31T12-00-00-000Z.sqlite`, so they sort oldest first. Only files
+ * > named that way are ever deleted.
+ *
+ * @param  {Database} db
+ * @param  {Object}   options
+ *         @property {Number}  interval   [milliseconds between backups]
+ *         @property {String}  directory  [where to put the backups (defaults to `db/backups`)]
+ *         @property {Number?} retain     [how many backups to keep (defaults to 7)]
+ *
+ * @returns {Object}
+ *          @property {Function} runNow  [take a backup now (and rotate); returns a promise of its path]
+ *          @property {Function} stop    [stop taking backups; returns a promise that resolves once one being written is done]
+ */
+module.exports = function scheduleBackups(db, options) {
+  if (!Number.isInteger(options.interval) || options.interval <= 0) {
+    throw new Error(
+      'Invalid `backups` config: `interval` should be a positive number of milliseconds.'
+    )
+  }
+  const retain = options.retain === undefined ? DEFAULT_RETAIN : options.retain
+  if (!Number.isInteger(retain) || retain < 1) {
+    throw new Error(
+      'Invalid `backups` config: `retain` should be a positive integer.'
+    )
+  }
+
+  const directory = path.resolve(options.directory || 'db/backups')
+  const extension = path.extname(db.name) || '.sqlite'
+  const baseName = db.memory ? 'memory' : path.basename(db.name, extension)
+  const backupNamePattern = new RegExp(
+    `^${escapeRegExp(baseName)}-\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z${escapeRegExp(extension)}$`
+  )
+
+  let running = null
+  let stopped = false
+
+  async function runNow() {
+    if (stopped) {
+      throw new Error('Cannot take a backup: the datastore is being torn down.')
+    }
+    // Don't start a backup while the previous one is still being written.
+    if (running) {
+      return running
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+    const destinationPath = path.join(
+      directory,
+      `${baseName}-${timestamp}${extension}`
+    )
+    running = (async () => {
+      try {
+        fs.mkdirSync(directory, { recursive: true })
+        await db.backup(destinationPath)
+        rotate()
+        return destinationPath
+      } finally {
+        running = null
+      }
+    })()
+    return running
+  }
+
+  function rotate() {
+    const backups = fs
+      .readdirSync(directory)
+      .filter((fileName) => backupNamePattern.test(fileName))
+      .sort()
+    backups
+      .slice(0, Math.max(0, backups.length - retain))
+      .forEach((fileName) => {
+        fs.unlinkSync(path.join(directory, fileName))
+      })
+  }
+
+  const timer = setInterval(() => {
+    runNow().catch((err) => {
+      if (!stopped) {
+        console.warn('Warning: Scheduled backup failed:', err.message)
+      }
+    })
+  }, options.interval)
+  // Don't keep the process alive just to take backups.
+  timer.unref()
+
+  return {
+    runNow,
+    stop: function () {
+      stopped = true
+      clearInterval(timer)
+      // (Whether it succeeds is up to whoever asked for it.)
+      return running ? running.then(noop, noop) : Promise.resolve()
+    }
+  }
+}
+
+function noop() {}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,193 @@
+const { EventEmitter } = require('events')
+
+// How many rows must change before a scheduled ANALYZE runs, when no
+// `changeThreshold` is configured.
+const DEFAULT_CHANGE_THRESHOLD = 1000
+
+// The maintenance tasks, how often each runs by default, and what each does.
+// (`force` is set when a task is run by hand rather than by its timer.)
+const TASKS = {
+  // Let SQLite decide which statistics need refreshing (cheap).
+  optimize: {
+    defaultInterval: 60 * 60 * 1000,
+    run: function (db) {
+      db.exec('PRAGMA optimize')
+      return {}
+    }
+  },
+
+  // Refresh the query planner statistics once enough rows have changed.
+  analyze: {
+    defaultInterval: 10 * 60 * 1000,
+    run: function (db, options, state, force) {
+      const changeThreshold =
+        options.changeThreshold === undefined
+          ? DEFAULT_CHANGE_THRESHOLD
+          : options.changeThreshold
+      const totalChanges = db.prepare('SELECT total_changes()').pluck().get()
+      const changes = totalChanges - state.changesAtLastAnalyze
+      if (!force && changes < changeThreshold) {
+        return {
+          skipped: `only ${changes} rows changed since the last ANALYZE (threshold: ${changeThreshold})`
+        }
+      }
+      db.exec('ANALYZE')
+      state.changesAtLastAnalyze = totalChanges
+      return { changes }
+    }
+  },
+
+  // Hand free pages back to the file system, a few at a time, instead of
+  // rewriting the whole file with VACUUM.  (Only possible with
+  // `auto_vacuum = INCREMENTAL`, which must be set before the first table
+  // is created, or followed by one VACUUM.)
+  incrementalVacuum: {
+    defaultInterval: 60 * 60 * 1000,
+    run: function (db, options) {
+      if (db.pragma('auto_vacuum', { simple: true }) !== 2) {
+        return { skipped: 'auto_vacuum is not INCREMENTAL' }
+      }
+      const freelistBefore = db.pragma('freelist_count', { simple: true })
+      db.pragma(`incremental_vacuum(${options.pages || 0})`)
+      return {
+        pagesFreed:
+          freelistBefore - db.pragma('freelist_count', { simple: true })
+      }
+    }
+  }
+}
+
+/**
+ * scheduleMaintenance()
+ *
+ * Run the maintenance tasks (`optimize`, `analyze` and `incrementalVacuum`)
+ * on their own timers, and report the outcome of each run as a `run` event.
+ *
+ * > None of these rewrite the whole database the way VACUUM does. If
+ * > `quietHours` are configured, the timers only run tasks inside those
+ * > windows. A task is also skipped while a transaction is open on the writer.
+ *
+ * @param  {Database} db
+ * @param  {Object?}  options                      [nothing is scheduled without it]
+ *         @property {Object|false}  optimize          [{ interval }]
+ *         @property {Object|false}  analyze           [{ interval, changeThreshold }]
+ *         @property {Object|false}  incrementalVacuum [{ interval, pages }]
+ *         @property {Array}         quietHours        [[{ start: 'HH:MM', end: 'HH:MM' }] in local time]
+ *
+ * @returns {EventEmitter}
+ *          @property {Function} runNow  [runNow(taskName) -- run a task right away; returns its outcome]
+ *          @property {Function} stop
+ *          (emits `run` with { task, status, reason?, error?, details?, startedAt, durationMs })
+ */
+module.exports = function scheduleMaintenance(db, options) {
+  const quietHours = ((options && options.quietHours) || []).map(parseWindow)
+  const state = { changesAtLastAnalyze: 0 }
+  const timers = []
+  const maintenance = new EventEmitter()
+
+  function run(taskName, force) {
+    const startedAt = new Date()
+    const outcome = { task: taskName, startedAt: startedAt.toISOString() }
+    const taskOptions = (options && options[taskName]) || {}
+
+    try {
+      if (!force && quietHours.length > 0 && !isQuiet(startedAt)) {
+        outcome.status = 'skipped'
+        outcome.reason = 'outside quiet hours'
+      } else if (db.inTransaction) {
+        outcome.status = 'skipped'
+        outcome.reason = 'a transaction is in progress'
+      } else {
+        const { skipped, ...details } = TASKS[taskName].run(
+          db,
+          taskOptions,
+          state,
+          force
+        )
+        outcome.status = skipped ? 'skipped' : 'done'
+        if (skipped) {
+          outcome.reason = skipped
+        } else {
+          outcome.details = details
+        }
+      }
+    } catch (err) {
+      outcome.status = 'failed'
+      outcome.error = err
+    }
+
+    outcome.durationMs = Date.now() - startedAt.getTime()
+    maintenance.emit('run', outcome)
+    return outcome
+  }
+
+  function isQuiet(date) {
+    const minutes = date.getHours() * 60 + date.getMinutes()
+    return quietHours.some(({ start, end }) =>
+      start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end
+    )
+  }
+
+  // Without a `maintenance` config, tasks only run when asked to.
+  for (const [taskName, task] of Object.entries(options ? TASKS : {})) {
+    if (options[taskName] === false) {
+      continue
+    }
+    const interval =
+      (options[taskName] && options[taskName].interval) || task.defaultInterval
+    if (!Number.isInteger(interval) || interval <= 0) {
+      throw new Error(
+        `Invalid \`maintenance\` config: \`${taskName}.interval\` should be a positive number of milliseconds.`
+      )
+    }
+    const timer = setInterval(() => {
+      if (!db.open) {
+        return
+      }
+      const outcome = run(taskName, false)
+      if (
+        outcome.status === 'failed' &&
+        maintenance.listenerCount('run') === 0
+      ) {
+        console.warn(
+          `Warning: Scheduled maintenance task \`${taskName}\` failed:`,
+          outcome.error.message
+        )
+      }
+    }, interval)
+    // Don't keep the process alive just for maintenance.
+    timer.unref()
+    timers.push(timer)
+  }
+
+  maintenance.runNow = function (taskName) {
+    if (!TASKS[taskName]) {
+      throw new Error(
+        `Unknown maintenance task \`${taskName}\` (expected one of ${Object.keys(TASKS).join(', ')}).`
+      )
+    }
+    return run(taskName, true)
+  }
+
+  maintenance.stop = function () {
+    timers.splice(0).forEach((timer) => clearInterval(timer))
+  }
+
+  return maintenance
+}
+
+// Parse a `{ start: 'HH:MM', end: 'HH:MM' }` window into minutes since midnight.
+function parseWindow(window) {
+  const toMinutes = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '')
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error(
+        "Invalid `maintenance` config: each of `quietHours` should look like `{ start: '01:00', end: '05:00' }`."
+      )
+    }
+    return Number(match[1]) * 60 + Number(match[2])
+  }
+  return { start: toMinutes(window.start), end: toMinutes(window.end) }
+}
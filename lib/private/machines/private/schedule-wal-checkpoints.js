@@ -0,0 +1,52 @@
+/**
+ * scheduleWalCheckpoints()
+ *
+ * Checkpoint a datastore's WAL file every `checkpointInterval` milliseconds.
+ *
+ * > SQLite's own automatic checkpoints (`wal_autocheckpoint`) only run as part
+ * > of a commit, and can't reset the WAL file while readers keep using it, so
+ * > under sustained load it keeps growing. A TRUNCATE checkpoint shrinks it
+ * > back to nothing. A checkpoint is skipped while a transaction is open on
+ * > the writer.
+ *
+ * @param  {Database} db                          [with a `checkpointWal(mode)` method]
+ * @param  {Object}   options
+ *         @property {Number}  checkpointInterval [milliseconds between checkpoints]
+ *         @property {String?} checkpointMode     [PASSIVE (default), FULL, RESTART or TRUNCATE]
+ *
+ * @returns {Object}
+ *          @property {Function} stop
+ */
+module.exports = function scheduleWalCheckpoints(db, options) {
+  if (
+    !Number.isInteger(options.checkpointInterval) ||
+    options.checkpointInterval <= 0
+  ) {
+    throw new Error(
+      'Invalid `wal` config: `checkpointInterval` should be a positive number of milliseconds.'
+    )
+  }
+  const mode = options.checkpointMode || 'PASSIVE'
+
+  let stopped = false
+
+  const timer = setInterval(() => {
+    if (stopped || !db.open || db.inTransaction) {
+      return
+    }
+    try {
+      db.checkpointWal(mode)
+    } catch (err) {
+      console.warn('Warning: Scheduled WAL checkpoint failed:', err.message)
+    }
+  }, options.checkpointInterval)
+  // Don't keep the process alive just to checkpoint.
+  timer.unref()
+
+  return {
+    stop: function () {
+      stopped = true
+      clearInterval(timer)
+    }
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * syncFullTextSearch()
+ *
+ * Make the full-text search index for a table match the columns its physical
+ * model asks for (i.e. from the table's `fullTextSearch` setting).
+ *
+ * The index is an FTS5 "external content" table named `<table>_fts`, which
+ * stores no copy of the text itself. Triggers on the table keep it in sync.
+ * https://www.sqlite.org/fts5.html#external_content_tables
+ *
+ * @param  {Database} db
+ * @param  {String}   tableName
+ * @param  {Array}    columnNames   [the columns to index (if empty, any existing index is dropped)]
+ */
+module.exports = function syncFullTextSearch(db, tableName, columnNames) {
+  const ftsTableName = `${tableName}_fts`
+  const triggerNames = ['insert', 'delete', 'update'].map(
+    (event) => `${ftsTableName}_${event}`
+  )
+
+  const existingTable = db
+    .prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get(ftsTableName)
+
+  triggerNames.forEach((triggerName) => {
+    db.exec(`DROP TRIGGER IF EXISTS \`${triggerName}\``)
+  })
+
+  if (columnNames.length === 0) {
+    if (existingTable) {
+      db.exec(`DROP TABLE \`${ftsTableName}\``)
+    }
+    return
+  }
+
+  const columnList = columnNames.map((name) => `\`${name}\``).join(', ')
+  const newValues = columnNames.map((name) => `new.\`${name}\``).join(', ')
+  const oldValues = columnNames.map((name) => `old.\`${name}\``).join(', ')
+  const createSql = `CREATE VIRTUAL TABLE \`${ftsTableName}\` USING fts5(${columnList}, content='${tableName.replace(/'/g, "''")}')`
+
+  const isUpToDate = existingTable && existingTable.sql === createSql
+  if (existingTable && !isUpToDate) {
+    db.exec(`DROP TABLE \`${ftsTableName}\``)
+  }
+  if (!isUpToDate) {
+    db.exec(createSql)
+  }
+
+  db.exec(
+    `CREATE TRIGGER \`${triggerNames[0]}\` AFTER INSERT ON \`${tableName}\` BEGIN ` +
+      `INSERT INTO \`${ftsTableName}\` (rowid, ${columnList}) VALUES (new.rowid, ${newValues}); END`
+  )
+  db.exec(
+    `CREATE TRIGGER \`${triggerNames[1]}\` AFTER DELETE ON \`${tableName}\` BEGIN ` +
+      `INSERT INTO \`${ftsTableName}\` (\`${ftsTableName}\`, rowid, ${columnList}) VALUES ('delete', old.rowid, ${oldValues}); END`
+  )
+  db.exec(
+    `CREATE TRIGGER \`${triggerNames[2]}\` AFTER UPDATE ON \`${tableName}\` BEGIN ` +
+      `INSERT INTO \`${ftsTableName}\` (\`${ftsTableName}\`, rowid, ${columnList}) VALUES ('delete', old.rowid, ${oldValues}); ` +
+      `INSERT INTO \`${ftsTableName}\` (rowid, ${columnList}) VALUES (new.rowid, ${newValues}); END`
+  )
+
+  // A new index starts out empty, so fill it from the rows already in the table.
+  if (!isUpToDate) {
+    db.exec(
+      `INSERT INTO \`${ftsTableName}\` (\`${ftsTableName}\`) VALUES ('rebuild')`
+    )
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * syncIndexes()
+ *
+ * Make the indexes on a table match the ones its physical model asks for.
+ * Missing indexes are created, and indexes whose definition changed are
+ * recreated; indexes that already match are left alone.
+ *
+ * > Indexes named `idx_<table>_*` are managed by the adapter: if the model no
+ * > longer asks for one, it is dropped. Any other index (e.g. one created by
+ * > hand or by a migration file) is never touched.
+ *
+ * @param  {Database} db
+ * @param  {String}   tableName
+ * @param  {Array}    indexes   [index definitions, as built by `buildIndexDefinition()`]
+ */
+module.exports = function syncIndexes(db, tableName, indexes) {
+  const existingIndexes = db
+    .prepare(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL"
+    )
+    .all(tableName)
+
+  indexes.forEach((index) => {
+    const existingIndex = existingIndexes.find(
+      (existingIndex) => existingIndex.name === index.name
+    )
+    if (
+      existingIndex &&
+      normalizeSql(existingIndex.sql) === normalizeSql(index.sql)
+    ) {
+      return
+    }
+    if (existingIndex) {
+      db.exec(`DROP INDEX \`${index.name}\``)
+    }
+    db.exec(index.sql)
+  })
+
+  existingIndexes
+    .filter(
+      (existingIndex) =>
+        existingIndex.name.startsWith(`idx_${tableName}_`) &&
+        !indexes.some((index) => index.name === existingIndex.name)
+    )
+    .forEach((existingIndex) => {
+      db.exec(`DROP INDEX \`${existingIndex.name}\``)
+    })
+}
+
+function normalizeSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim()
+}
@@ -4,7 +4,7 @@ module.exports = {
   description: 'Release an active SQLite database connection.',
 
   extendedDescription:
-    "For SQLite, this is typically a no-op as there is no connection pooling. However, it's included for consistency with other database adapters.",
+    'This hands the connection back to the datastore, so that the next caller waiting for it can have it. The connection itself stays open.',
 
   sync: true,
 
@@ -28,9 +28,7 @@ module.exports = {
 
   exits: {
     success: {
-      description: 'The connection was released (no-op for SQLite).',
-      extendedDescription:
-        "For SQLite, this is typically a no-op, but it's included for consistency.",
+      description: 'The connection was released.',
       outputFriendlyName: 'Report',
       outputDescription:
         'The `meta` property is reserved for custom driver-specific extensions.',
@@ -60,9 +58,12 @@ module.exports = {
       })
     }
 
-    // For SQLite, releasing a connection is typically a no-op
     // We don't actually close the connection here because SQLite connections
     // are meant to be long-lived and are automatically closed when the database is closed
+    if (typeof connection.releaseLease === 'function') {
+      connection.releaseLease()
+    }
+
     return exits.success({
       meta
     })
@@ -0,0 +1,106 @@
+module.exports = {
+  friendlyName: 'Restore database',
+
+  description:
+    'Replace the database file with a copy of another database (e.g. a backup).',
+
+  extendedDescription:
+    'The source is checked with `PRAGMA integrity_check` and copied next to the database file first, so a bad source leaves the database untouched. Then the manager is closed, and the copy is renamed over the database file in one step. The caller is responsible for opening a new manager afterwards.',
+
+  inputs: {
+    manager: {
+      description: 'The SQLite connection manager of the database to replace.',
+      extendedDescription:
+        'It is closed (with `closeGracefully()`) before the database file is replaced.',
+      example: '===',
+      required: true
+    },
+    sourcePath: {
+      description: 'The absolute path of the database file to restore from.',
+      example: '/var/backups/my-app.sqlite',
+      required: true
+    }
+  },
+
+  exits: {
+    success: {
+      outputFriendlyName: 'Report',
+      outputDescription:
+        'The `sourcePath` that was restored, and the `databasePath` it was restored to.',
+      outputExample: '==='
+    },
+    badSource: {
+      description:
+        'The source could not be opened, or failed its integrity check.',
+      outputFriendlyName: 'Error',
+      outputExample: '==='
+    }
+  },
+
+  fn: async function (inputs, exits) {
+    const fs = require('fs')
+    const Database = require('better-sqlite3')
+    const manager = inputs.manager
+
+    if (manager.memory) {
+      return exits.error(
+        new Error('Cannot restore an in-memory database: it has no file.')
+      )
+    }
+
+    const databasePath = manager.name
+    const tempPath = `${databasePath}.restore-${Date.now()}`
+
+    // Check the source, and copy it next to the database file (so that the
+    // swap below is a rename within one directory).  Copying with the backup
+    // API rather than the file system includes anything still in the source's
+    // WAL file.
+    let source
+    try {
+      source = new Database(inputs.sourcePath, {
+        readonly: true,
+        fileMustExist: true
+      })
+      const problems = source.prepare('PRAGMA integrity_check').pluck().all()
+      if (problems.length !== 1 || problems[0] !== 'ok') {
+        throw new Error(`integrity check failed: ${problems.join('; ')}`)
+      }
+      await source.backup(tempPath)
+    } catch (err) {
+      removeFiles([tempPath])
+      return exits.badSource(
+        new Error(
+          `Cannot restore from \`${inputs.sourcePath}\`: ${err.message}`
+        )
+      )
+    } finally {
+      if (source && source.open) {
+        source.close()
+      }
+    }
+
+    try {
+      await manager.closeGracefully()
+
+      // Anything left in the old WAL file belongs to the old database.
+      removeFiles([`${databasePath}-wal`, `${databasePath}-shm`])
+      fs.renameSync(tempPath, databasePath)
+    } catch (err) {
+      removeFiles([tempPath])
+      return exits.error(
+        new Error(
+          `Could not restore the database from \`${inputs.sourcePath}\`: ${err.message}`
+        )
+      )
+    }
+
+    return exits.success({
+      sourcePath: inputs.sourcePath,
+      databasePath
+    })
+
+    function removeFiles(filePaths) {
+      filePaths.forEach((filePath) => fs.rmSync(filePath, { force: true }))
+    }
+  }
+}
@@ -33,14 +33,20 @@ module.exports = {
 
   fn: function rollbackTransaction(inputs, exits) {
     const db = inputs.connection
-    const meta = inputs.meta || {}
 
     try {
       if (!db.inTransaction) {
         return exits.error(new Error('No active transaction to rollback.'))
       }
 
-      db.prepare('ROLLBACK TRANSACTION').run()
+      // Finish the innermost transaction (which may be a savepoint nested in
+      // another one), unless it was begun some other way.
+      const transactions = db.openTransactions || []
+      if (transactions.length > 0) {
+        transactions[transactions.length - 1].rollback()
+      } else {
+        db.prepare('ROLLBACK TRANSACTION').run()
+      }
 
       return exits.success()
     } catch (err) {
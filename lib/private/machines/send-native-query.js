@@ -76,7 +76,10 @@ module.exports = {
     const bindings = inputs.valuesToEscape || []
 
     try {
-      const stmt = inputs.connection.prepare(sql)
+      const db = inputs.connection
+      const stmt = db.getPreparedStatement
+        ? db.getPreparedStatement(sql)
+        : db.prepare(sql)
       const isSelect =
         sql.trim().toUpperCase().startsWith('SELECT') ||
         sql.trim().toUpperCase().startsWith('PRAGMA')
@@ -1,4 +1,5 @@
 const buildSqliteWhereClause = require('./private/build-sqlite-where-clause')
+const explainQuery = require('./private/explain-query')
 
 module.exports = {
   friendlyName: 'Sum (records)',
@@ -6,6 +7,8 @@ module.exports = {
   description:
     'Return the cumulative sum (∑) of a particular property over matching records.',
 
+  sideEffects: 'cacheable',
+
   inputs: {
     query: require('../constants/query.input'),
     connection: require('../constants/connection.input'),
@@ -60,12 +63,17 @@ module.exports = {
 
     try {
       let sumQuery = `SELECT COALESCE(SUM(\`${numericFieldName}\`), 0) as total FROM \`${tableName}\``
-      if (whereClause) {
-        sumQuery += ` WHERE ${whereClause}`
+      if (whereClause.sql) {
+        sumQuery += ` WHERE ${whereClause.sql}`
       }
 
-      const stmt = db.prepare(sumQuery)
-      const result = stmt.get()
+      const stmt = db.getPreparedStatement
+        ? db.getPreparedStatement(sumQuery)
+        : db.prepare(sumQuery)
+      if (s3q.meta && s3q.meta.explain) {
+        explainQuery(db, sumQuery, whereClause.bindings, s3q.meta.explain)
+      }
+      const result = stmt.get(...whereClause.bindings)
 
       return exits.success(result.total)
     } catch (err) {
@@ -3,6 +3,8 @@ const processNativeRecord = require('./private/process-native-record')
 const processNativeError = require('./private/process-native-error')
 const reifyValuesToSet = require('./private/reify-values-to-set')
 const buildSqliteWhereClause = require('./private/build-sqlite-where-clause')
+const explainQuery = require('./private/explain-query')
+const openTransaction = require('./private/open-transaction')
 
 module.exports = {
   friendlyName: 'Update (records)',
@@ -72,37 +74,50 @@ module.exports = {
 
     const db = inputs.connection
 
-    // Check if we're already in a transaction
-    const wasInTransaction = db.inTransaction
-
+    // Run in a transaction (or, inside someone else's, in a savepoint of its
+    // own), so that a failure part-way through leaves nothing behind.
+    let transaction
     try {
-      // Start a transaction only if we're not already in one
-      if (!wasInTransaction) {
-        db.exec('BEGIN TRANSACTION')
-      }
+      transaction = openTransaction(db, 'IMMEDIATE')
 
       let affectedIds = []
 
       if (isFetchEnabled) {
         // Get the IDs of records which match this criteria
-        const selectSql = sqliteWhere
-          ? `SELECT \`${pkColumnName}\` FROM \`${tableName}\` WHERE ${sqliteWhere}`
+        const selectSql = sqliteWhere.sql
+          ? `SELECT \`${pkColumnName}\` FROM \`${tableName}\` WHERE ${sqliteWhere.sql}`
           : `SELECT \`${pkColumnName}\` FROM \`${tableName}\``
-        const selectStmt = db.prepare(selectSql)
-        affectedIds = selectStmt.all().map((row) => row[pkColumnName])
+        const selectStmt = db.getPreparedStatement
+          ? db.getPreparedStatement(selectSql)
+          : db.prepare(selectSql)
+        if (s3q.meta && s3q.meta.explain) {
+          explainQuery(db, selectSql, sqliteWhere.bindings, s3q.meta.explain)
+        }
+        affectedIds = selectStmt
+          .all(...sqliteWhere.bindings)
+          .map((row) => row[pkColumnName])
       }
 
       // Prepare the UPDATE statement
       const setClauses = Object.entries(s3q.valuesToSet)
         .map(([column, value]) => `\`${column}\` = ?`)
         .join(', ')
-      const updateSql = sqliteWhere
-        ? `UPDATE \`${tableName}\` SET ${setClauses} WHERE ${sqliteWhere}`
+      const updateSql = sqliteWhere.sql
+        ? `UPDATE \`${tableName}\` SET ${setClauses} WHERE ${sqliteWhere.sql}`
         : `UPDATE \`${tableName}\` SET ${setClauses}`
-      const updateStmt = db.prepare(updateSql)
-
-      // Execute the UPDATE
-      const updateInfo = updateStmt.run(...Object.values(s3q.valuesToSet))
+      const updateStmt = db.getPreparedStatement
+        ? db.getPreparedStatement(updateSql)
+        : db.prepare(updateSql)
+
+      // Execute the UPDATE (SET values first, then the WHERE bindings)
+      const updateBindings = [
+        ...Object.values(s3q.valuesToSet),
+        ...sqliteWhere.bindings
+      ]
+      if (s3q.meta && s3q.meta.explain) {
+        explainQuery(db, updateSql, updateBindings, s3q.meta.explain)
+      }
+      const updateInfo = updateStmt.run(...updateBindings)
 
       // Handle case where pk value was changed
       if (
@@ -116,9 +131,7 @@ module.exports = {
         s3q.valuesToSet[pkColumnName] !== undefined &&
         affectedIds.length > 1
       ) {
-        if (!wasInTransaction) {
-          db.exec('ROLLBACK')
-        }
+        transaction.rollback()
         return exits.error(
           new Error(
             'Consistency violation: Updated multiple records to have the same primary key value. (PK values should be unique!)'
@@ -128,15 +141,15 @@ module.exports = {
 
       // If fetch is not enabled, we're done
       if (!isFetchEnabled) {
-        if (!wasInTransaction) {
-          db.exec('COMMIT')
-        }
+        transaction.commit()
         return exits.success()
       }
 
       // Fetch the updated records
       const fetchSql = `SELECT * FROM \`${tableName}\` WHERE \`${pkColumnName}\` IN (${affectedIds.map(() => '?').join(', ')})`
-      const fetchStmt = db.prepare(fetchSql)
+      const fetchStmt = db.getPreparedStatement
+        ? db.getPreparedStatement(fetchSql)
+        : db.prepare(fetchSql)
       const phRecords = fetchStmt.all(affectedIds)
 
       // Process records
@@ -144,15 +157,18 @@ module.exports = {
         processNativeRecord(phRecord, WLModel, s3q.meta)
       })
 
-      if (!wasInTransaction) {
-        db.exec('COMMIT')
-      }
+      transaction.commit()
       return exits.success(phRecords)
     } catch (err) {
-      if (!wasInTransaction) {
-        db.exec('ROLLBACK')
+      if (transaction) {
+        transaction.rollback()
       }
-      err = processNativeError(err)
+      err = processNativeError(err, {
+        db,
+        tableName,
+        WLModel,
+        records: [s3q.valuesToSet]
+      })
       if (err.footprint && err.footprint.identity === 'notUnique') {
         return exits.notUnique(err)
       }
@@ -0,0 +1,121 @@
+const { test, describe, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Schema migrations (`migrate: alter`)', () => {
+  const testDbPath = path.join(__dirname, `test-alter-${Date.now()}.sqlite`)
+
+  const id = () => ({
+    type: 'number',
+    autoMigrations: { columnType: '_numberkey', autoIncrement: true }
+  })
+  const string = (autoMigrations) => ({
+    type: 'string',
+    autoMigrations: { columnType: '_string', ...autoMigrations }
+  })
+
+  // Start the ORM with the given version of the `pet` model, and run the
+  // `alter` auto-migration, as Sails does on lift.
+  const lift = async (attributes) => {
+    const orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            alterDatastore: { adapter: 'sails-sqlite', url: testDbPath }
+          },
+          models: { pet: { tableName: 'pets', attributes } },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'alterDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('alter', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    return orm
+  }
+
+  const lower = (orm) =>
+    new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+
+  const columnsOf = (db, tableName) =>
+    db
+      .prepare('SELECT name, type FROM pragma_table_info(?)')
+      .all(tableName)
+      .reduce((columns, { name, type }) => ({ ...columns, [name]: type }), {})
+
+  after(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should keep the records while adding, retyping and dropping columns', async () => {
+    let orm = await lift({
+      id: id(),
+      name: string(),
+      color: string(),
+      age: string()
+    })
+    const Pet = Waterline.getModel('pet', orm)
+    await Pet.createEach([
+      { name: 'Rex', color: 'red', age: '3' },
+      { name: 'Tom', color: 'blue', age: '5' }
+    ])
+    await lower(orm)
+
+    orm = await lift({
+      id: id(),
+      name: string(),
+      tag: { ...string({ unique: true }), allowNull: true },
+      age: { type: 'number', autoMigrations: { columnType: '_number' } }
+    })
+    try {
+      const db = adapter.datastores.alterDatastore.manager
+      assert.deepStrictEqual(columnsOf(db, 'pets'), {
+        id: 'INTEGER',
+        name: 'TEXT',
+        tag: 'TEXT',
+        age: 'INTEGER'
+      })
+      assert.deepStrictEqual(
+        db.prepare('SELECT id, name, tag, age FROM pets ORDER BY id').all(),
+        [
+          { id: 1, name: 'Rex', tag: null, age: 3 },
+          { id: 2, name: 'Tom', tag: null, age: 5 }
+        ]
+      )
+      assert.ok(
+        db
+          .prepare(
+            "SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_pets_tag'"
+          )
+          .get()
+      )
+
+      // New records get ids after the ones that were kept.
+      const created = await Waterline.getModel('pet', orm)
+        .create({ name: 'Max', tag: 'A1', age: 2 })
+        .fetch()
+      assert.strictEqual(created.id, 3)
+    } finally {
+      await lower(orm)
+    }
+  })
+})
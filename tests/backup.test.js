@@ -0,0 +1,336 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const os = require('node:os')
+const Database = require('better-sqlite3')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Backups', () => {
+  let tempDir
+  let db
+
+  const backup = (destinationPath, options) =>
+    new Promise((resolve, reject) => {
+      adapter.backup(
+        'backupDatastore',
+        destinationPath,
+        options,
+        (err, report) => {
+          if (err) return reject(err)
+          resolve(report)
+        }
+      )
+    })
+
+  const countNotes = (filePath) => {
+    const copy = new Database(filePath, { readonly: true })
+    try {
+      return copy.prepare('SELECT COUNT(*) AS count FROM notes').get().count
+    } finally {
+      copy.close()
+    }
+  }
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-sqlite-backup-'))
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'backupDatastore',
+          adapter: 'sails-sqlite',
+          url: path.join(tempDir, 'app.sqlite'),
+          backups: {
+            directory: path.join(tempDir, 'scheduled'),
+            interval: 60 * 60 * 1000,
+            retain: 2
+          }
+        },
+        {},
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.backupDatastore.manager
+
+    db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)')
+    const insert = db.prepare('INSERT INTO notes (body) VALUES (?)')
+    for (let i = 0; i < 500; i++) {
+      insert.run('x'.repeat(200))
+    }
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('backupDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('should copy the database (including the WAL) while it is in use', async () => {
+    const steps = []
+    const destinationPath = path.join(tempDir, 'manual', 'copy.sqlite')
+
+    const report = await backup(destinationPath, {
+      progress: (info) => {
+        steps.push(info)
+        return 5
+      }
+    })
+
+    assert.strictEqual(report.destinationPath, destinationPath)
+    assert.ok(steps.length > 1, 'should copy a few pages at a time')
+    assert.strictEqual(steps[0].totalPages, report.totalPages)
+    assert.strictEqual(countNotes(destinationPath), 500)
+  })
+
+  test('should keep only the most recent scheduled backups', async () => {
+    const backupPaths = []
+    for (let i = 0; i < 3; i++) {
+      backupPaths.push(await db.runScheduledBackup())
+      await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+
+    assert.deepStrictEqual(
+      fs.readdirSync(path.join(tempDir, 'scheduled')),
+      backupPaths.slice(1).map((backupPath) => path.basename(backupPath))
+    )
+    assert.match(
+      path.basename(backupPaths[0]),
+      /^app-\d{4}-\d{2}-\d{2}T[\d-]+Z\.sqlite$/
+    )
+    assert.strictEqual(countNotes(backupPaths[2]), 500)
+  })
+
+  test('should require a destination path', async () => {
+    await assert.rejects(backup(undefined, {}), /destinationPath/)
+  })
+
+  describe('Restore', () => {
+    const restore = (sourcePath) =>
+      new Promise((resolve, reject) => {
+        adapter.restore('backupDatastore', sourcePath, (err, report) => {
+          if (err) return reject(err)
+          resolve(report)
+        })
+      })
+
+    test('should swap in the backup and reopen the datastore', async () => {
+      const sourcePath = path.join(tempDir, 'manual', 'before-restore.sqlite')
+      await backup(sourcePath, {})
+      db.prepare('INSERT INTO notes (body) VALUES (?)').run('after the backup')
+
+      const report = await restore(sourcePath)
+
+      const manager = adapter.datastores.backupDatastore.manager
+      assert.strictEqual(report.sourcePath, sourcePath)
+      assert.strictEqual(report.databasePath, path.join(tempDir, 'app.sqlite'))
+      assert.notStrictEqual(manager, db)
+      assert.strictEqual(db.open, false)
+      assert.strictEqual(
+        manager.prepare('SELECT COUNT(*) AS count FROM notes').get().count,
+        500
+      )
+      assert.strictEqual(manager.getPoolStats().writerLeased, false)
+      db = manager
+    })
+
+    test('should hand a lease queued during the restore to the new manager', async () => {
+      const sourcePath = path.join(tempDir, 'manual', 'queued-restore.sqlite')
+      await backup(sourcePath, {})
+
+      // The restore holds the writer, so this waits in line for it.
+      const restored = restore(sourcePath)
+      const leased = new Promise((resolve, reject) => {
+        db.leaseConnection({ readonly: false }, (err, connection) => {
+          if (err) return reject(err)
+          const count = connection
+            .prepare('SELECT COUNT(*) AS count FROM notes')
+            .get().count
+          connection.releaseLease()
+          resolve({ connection, count })
+        })
+      })
+
+      await restored
+      const { connection, count } = await leased
+      const manager = adapter.datastores.backupDatastore.manager
+      assert.notStrictEqual(manager, db)
+      assert.strictEqual(connection, manager)
+      assert.strictEqual(count, 500)
+      assert.strictEqual(manager.getPoolStats().writerLeased, false)
+      db = manager
+    })
+
+    test('should refuse a corrupt source, and leave the datastore as it was', async () => {
+      const sourcePath = path.join(tempDir, 'corrupt.sqlite')
+      fs.writeFileSync(sourcePath, 'not a database')
+
+      await assert.rejects(restore(sourcePath), /Cannot restore from/)
+
+      assert.strictEqual(adapter.datastores.backupDatastore.manager, db)
+      assert.strictEqual(
+        db.prepare('SELECT COUNT(*) AS count FROM notes').get().count,
+        500
+      )
+      assert.strictEqual(db.getPoolStats().writerLeased, false)
+      assert.deepStrictEqual(
+        fs.readdirSync(tempDir).filter((name) => name.includes('.restore-')),
+        []
+      )
+    })
+  })
+})
+
+describe('Backups during teardown', () => {
+  let tempDir
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-sqlite-backup-'))
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'closingBackupDatastore',
+          adapter: 'sails-sqlite',
+          url: path.join(tempDir, 'app.sqlite'),
+          backups: {
+            directory: path.join(tempDir, 'scheduled'),
+            interval: 60 * 60 * 1000
+          }
+        },
+        {},
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+
+    const db = adapter.datastores.closingBackupDatastore.manager
+    db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)')
+    const insert = db.prepare('INSERT INTO notes (body) VALUES (?)')
+    for (let i = 0; i < 5000; i++) {
+      insert.run('x'.repeat(200))
+    }
+  })
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('should finish a scheduled backup before closing the database', async () => {
+    const db = adapter.datastores.closingBackupDatastore.manager
+    const steps = []
+
+    const backedUp = db.runScheduledBackup().then((backupPath) => {
+      steps.push('backed up')
+      return backupPath
+    })
+    await new Promise((resolve, reject) => {
+      adapter.teardown('closingBackupDatastore', (err) => {
+        if (err) return reject(err)
+        steps.push('torn down')
+        resolve()
+      })
+    })
+
+    const copy = new Database(await backedUp, { readonly: true })
+    try {
+      assert.strictEqual(
+        copy.prepare('SELECT COUNT(*) AS count FROM notes').get().count,
+        5000
+      )
+    } finally {
+      copy.close()
+    }
+    assert.deepStrictEqual(steps, ['backed up', 'torn down'])
+    assert.strictEqual(db.open, false)
+    await assert.rejects(db.runScheduledBackup(), /being torn down/)
+  })
+})
+
+describe('Restore failures', () => {
+  let tempDir
+  let db
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-sqlite-restore-'))
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'failingRestoreDatastore',
+          adapter: 'sails-sqlite',
+          url: path.join(tempDir, 'app.sqlite'),
+          readPoolSize: 0
+        },
+        {},
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.failingRestoreDatastore.manager
+    db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)')
+    db.prepare('INSERT INTO notes (body) VALUES (?)').run('kept')
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('failingRestoreDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('should hand leases held during a failed restore back to the old manager', async () => {
+    const sourcePath = path.join(tempDir, 'source.sqlite')
+    await new Promise((resolve, reject) => {
+      adapter.backup('failingRestoreDatastore', sourcePath, {}, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+    // Closing the old manager fails after its pool has been closed.
+    const close = db.close
+    db.close = function () {
+      db.close = close
+      throw new Error('Could not close the database file.')
+    }
+
+    const restored = new Promise((resolve, reject) => {
+      adapter.restore('failingRestoreDatastore', sourcePath, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    const leased = new Promise((resolve, reject) => {
+      db.leaseConnection({ readonly: false }, (err, connection) => {
+        if (err) return reject(err)
+        const body = connection.prepare('SELECT body FROM notes').pluck().get()
+        connection.releaseLease()
+        resolve({ connection, body })
+      })
+    })
+
+    await assert.rejects(restored, /Could not close the database file/)
+    const { connection, body } = await leased
+    assert.strictEqual(adapter.datastores.failingRestoreDatastore.manager, db)
+    assert.strictEqual(connection, db)
+    assert.strictEqual(body, 'kept')
+    assert.strictEqual(db.getPoolStats().writerLeased, false)
+  })
+})
@@ -0,0 +1,281 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Collations', () => {
+  let testDbPath
+  let db
+
+  const models = {
+    members: {
+      identity: 'member',
+      tableName: 'members',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        email: {
+          type: 'string',
+          unique: true,
+          meta: { collation: 'nocase' },
+          columnName: 'email'
+        },
+        name: { type: 'string', columnName: 'name' }
+      }
+    },
+    bad_members: {
+      identity: 'badMember',
+      tableName: 'bad_members',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        email: {
+          type: 'string',
+          meta: { collation: 'UNICODE' },
+          columnName: 'email'
+        }
+      }
+    }
+  }
+
+  const define = (tableName, tableDef) =>
+    new Promise((resolve, reject) => {
+      adapter.define('collationDatastore', tableName, tableDef, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('collationDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  // Find members, and report the query plan behind it.
+  const find = async (criteria) => {
+    const reports = []
+    const records = await run('find', {
+      using: 'members',
+      criteria,
+      meta: { explain: (report) => reports.push(report) }
+    })
+    return {
+      emails: records.map((record) => record.email),
+      plan: reports[0].plan.map((step) => step.detail).join('\n')
+    }
+  }
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-collation-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'collationDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          readPoolSize: 0
+        },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.collationDatastore.manager
+
+    await define('members', {
+      id: { type: 'number', primaryKey: true, autoIncrement: true },
+      email: { type: 'string', unique: true },
+      name: { type: 'string' }
+    })
+    for (const [email, name] of [
+      ['Ada@Example.com', 'Ada'],
+      ['bob@example.com', 'Bob'],
+      ['carol@example.com', 'Carol']
+    ]) {
+      await run('create', {
+        using: 'members',
+        newRecord: { email, name },
+        meta: {}
+      })
+    }
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('collationDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should declare the collation on the column', () => {
+    const { sql } = db
+      .prepare("SELECT sql FROM sqlite_master WHERE name = 'members'")
+      .get()
+    assert.match(sql, /`email` TEXT COLLATE NOCASE UNIQUE/)
+    assert.doesNotMatch(sql, /`name` TEXT COLLATE/)
+
+    // Case-only duplicates now violate the unique constraint.
+    return assert.rejects(
+      run('create', {
+        using: 'members',
+        newRecord: { email: 'BOB@EXAMPLE.COM' },
+        meta: {}
+      }),
+      (err) => err.code === 'E_UNIQUE'
+    )
+  })
+
+  test('should match `=` and `in` regardless of case, using the index', async () => {
+    const equal = await find({ where: { email: 'ADA@example.COM' } })
+    assert.deepStrictEqual(equal.emails, ['Ada@Example.com'])
+    assert.match(equal.plan, /SEARCH members USING INDEX/)
+
+    const included = await find({
+      where: { email: { in: ['BOB@EXAMPLE.COM', 'Carol@Example.com'] } }
+    })
+    assert.deepStrictEqual(included.emails.sort(), [
+      'bob@example.com',
+      'carol@example.com'
+    ])
+    assert.match(included.plan, /SEARCH members USING INDEX/)
+
+    // Other columns stay case-sensitive.
+    const other = await find({ where: { name: 'ada' } })
+    assert.deepStrictEqual(other.emails, [])
+  })
+
+  test('should use the index for `like`, instead of LOWER()', async () => {
+    const matched = await find({ where: { email: { like: 'BOB@%' } } })
+    assert.deepStrictEqual(matched.emails, ['bob@example.com'])
+    assert.match(matched.plan, /SEARCH members USING INDEX/)
+
+    const insensitive = await run('find', {
+      using: 'members',
+      criteria: { where: { email: { like: 'CAROL@%' } } },
+      meta: {
+        makeLikeModifierCaseInsensitive: true,
+        explain: (report) => assert.doesNotMatch(report.sql, /LOWER\(/)
+      }
+    })
+    assert.strictEqual(insensitive.length, 1)
+  })
+
+  test('should sort by the collation', async () => {
+    await run('create', {
+      using: 'members',
+      newRecord: { email: 'alan@example.com' },
+      meta: {}
+    })
+    const sorted = await find({ where: {}, sort: [{ email: 'ASC' }] })
+    assert.deepStrictEqual(sorted.emails, [
+      'Ada@Example.com',
+      'alan@example.com',
+      'bob@example.com',
+      'carol@example.com'
+    ])
+  })
+
+  test('should reject a collation SQLite does not have', async () => {
+    await assert.rejects(
+      define('bad_members', {
+        id: { type: 'number', primaryKey: true, autoIncrement: true },
+        email: { type: 'string' }
+      }),
+      /Invalid `meta.collation` \(UNICODE\) for attribute `email`/
+    )
+  })
+})
+
+describe('Collations through Waterline', () => {
+  let testDbPath
+  let orm
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-collation-orm-${Date.now()}.sqlite`)
+    orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            ormCollationDatastore: { adapter: 'sails-sqlite', url: testDbPath }
+          },
+          models: {
+            member: {
+              tableName: 'members',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                email: {
+                  type: 'string',
+                  meta: { collation: 'NOCASE' },
+                  autoMigrations: { columnType: '_string', unique: true }
+                }
+              }
+            }
+          },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'ormCollationDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('drop', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should declare and query by the collation in `meta`', async () => {
+    const Member = Waterline.getModel('member', orm)
+    await Member.createEach([
+      { email: 'Ada@Example.com' },
+      { email: 'bob@example.com' }
+    ])
+
+    const { sql } = adapter.datastores.ormCollationDatastore.manager
+      .prepare("SELECT sql FROM sqlite_master WHERE name = 'members'")
+      .get()
+    assert.match(sql, /`email` TEXT COLLATE NOCASE UNIQUE/)
+
+    const members = await Member.find({ email: 'ADA@example.COM' })
+    assert.deepStrictEqual(
+      members.map((member) => member.email),
+      ['Ada@Example.com']
+    )
+  })
+})
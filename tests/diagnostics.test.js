@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Database = require('better-sqlite3')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Diagnostics', () => {
+  let testDbPath
+  let db
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-diagnostics-${Date.now()}.sqlite`)
+
+    // Start from a WAL database with 8KB pages: its page size can no longer
+    // change, so it won't match the configured 4KB.
+    const existing = new Database(testDbPath)
+    existing.pragma('page_size = 8192')
+    existing.pragma('journal_mode = WAL')
+    existing.exec(`
+      CREATE TABLE items (id INTEGER PRIMARY KEY, sku TEXT);
+      CREATE INDEX items_sku ON items (sku);
+    `)
+    const insert = existing.prepare('INSERT INTO items (sku) VALUES (?)')
+    for (let i = 0; i < 40; i++) {
+      insert.run(`sku-${i}`)
+    }
+    existing.close()
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'diagnosticsDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath
+        },
+        {},
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.diagnosticsDatastore.manager
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('diagnosticsDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should report on the file, the WAL and the integrity check', () => {
+    db.prepare('INSERT INTO items (sku) VALUES (?)').run('sku-new')
+
+    const report = db.diagnostics()
+
+    assert.strictEqual(report.file.path, testDbPath)
+    assert.strictEqual(report.file.pageSize, 8192)
+    assert.ok(report.file.pageCount > 0)
+    assert.strictEqual(report.file.freelistCount, 0)
+    assert.strictEqual(report.file.sizeBytes, fs.statSync(testDbPath).size)
+    assert.strictEqual(report.wal.enabled, true)
+    assert.ok(report.wal.sizeBytes > 0)
+    assert.deepStrictEqual(report.integrity, { ok: true, problems: [] })
+    assert.deepStrictEqual(Object.keys(report.statementCache).sort(), [
+      'evictions',
+      'hits',
+      'maxSize',
+      'misses',
+      'size'
+    ])
+  })
+
+  test('should compare the pragmas in effect with the configured ones', () => {
+    const { pragmas } = db.diagnostics()
+
+    assert.deepStrictEqual(pragmas.synchronous, {
+      configured: 'NORMAL',
+      actual: 1,
+      matches: true
+    })
+    assert.deepStrictEqual(pragmas.journal_mode, {
+      configured: 'WAL',
+      actual: 'wal',
+      matches: true
+    })
+    assert.deepStrictEqual(pragmas.page_size, {
+      configured: 4096,
+      actual: 8192,
+      matches: false
+    })
+    assert.ok(!('optimize' in pragmas))
+  })
+
+  test('should estimate row counts from the last ANALYZE', () => {
+    // (The manager ran ANALYZE when it opened the database.)
+    assert.deepStrictEqual(db.diagnostics().tables, {
+      items: { estimatedRows: 40 }
+    })
+  })
+})
@@ -0,0 +1,163 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Query plans (meta.explain)', () => {
+  let testDbPath
+
+  const models = {
+    order: {
+      identity: 'order',
+      tableName: 'orders',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        customer: { type: 'string', columnName: 'customer' },
+        total: { type: 'number', columnName: 'total' }
+      }
+    }
+  }
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('explainDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  // Capture what `console[method]` is called with while `fn` runs.
+  const capture = async (method, fn) => {
+    const calls = []
+    const original = console[method]
+    console[method] = (...args) => calls.push(args.join(' '))
+    try {
+      await fn()
+    } finally {
+      console[method] = original
+    }
+    return calls
+  }
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-explain-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'explainDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          readPoolSize: 0
+        },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    const db = adapter.datastores.explainDatastore.manager
+
+    db.exec(`
+      CREATE TABLE orders (id INTEGER PRIMARY KEY, customer TEXT, total REAL);
+      CREATE INDEX orders_customer ON orders (customer);
+    `)
+    const insert = db.prepare(
+      'INSERT INTO orders (customer, total) VALUES (?, ?)'
+    )
+    db.transaction(() => {
+      for (let i = 0; i < 12000; i++) {
+        insert.run(`customer${i % 100}`, i)
+      }
+    })()
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('explainDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should pass the query plan to an `explain` function', async () => {
+    const reports = []
+    const records = await run('find', {
+      using: 'orders',
+      criteria: { where: { customer: 'customer7' }, limit: 2 },
+      meta: { explain: (report) => reports.push(report) }
+    })
+
+    assert.strictEqual(records.length, 2)
+    assert.strictEqual(reports.length, 1)
+    assert.match(reports[0].sql, /^SELECT .* FROM `orders` WHERE/)
+    assert.deepStrictEqual(reports[0].bindings, ['customer7', 2])
+    assert.match(
+      reports[0].plan.map((step) => step.detail).join('\n'),
+      /SEARCH orders USING INDEX orders_customer/
+    )
+    assert.deepStrictEqual(reports[0].fullScans, [])
+  })
+
+  test('should warn about a full scan of a large table', async () => {
+    const reports = []
+    const warnings = await capture('warn', () =>
+      run('count', {
+        using: 'orders',
+        criteria: { where: { total: { '>': 100 } } },
+        meta: { explain: (report) => reports.push(report) }
+      })
+    )
+
+    assert.deepStrictEqual(reports[0].fullScans, [
+      { table: 'orders', estimatedRows: 12000 }
+    ])
+    assert.strictEqual(warnings.length, 1)
+    assert.match(warnings[0], /Full scan of `orders` \(about 12000 rows\)/)
+  })
+
+  test('should log the query plan with `explain: true`', async () => {
+    const logs = await capture('log', () =>
+      run('sum', {
+        using: 'orders',
+        numericAttrName: 'total',
+        criteria: { where: { customer: 'customer1' } },
+        meta: { explain: true }
+      })
+    )
+
+    assert.strictEqual(logs.length, 1)
+    assert.match(logs[0], /^Query plan for: SELECT COALESCE\(SUM/)
+    assert.match(logs[0], /\n {2}SEARCH orders USING INDEX orders_customer/)
+  })
+
+  test('should explain the statements behind writes', async () => {
+    const reports = []
+    await run('update', {
+      using: 'orders',
+      criteria: { where: { customer: 'customer2' } },
+      valuesToSet: { total: 0 },
+      meta: { explain: (report) => reports.push(report) }
+    })
+    await run('destroy', {
+      using: 'orders',
+      criteria: { where: { customer: 'customer3' } },
+      meta: { explain: (report) => reports.push(report) }
+    })
+
+    assert.deepStrictEqual(
+      reports.map((report) => report.sql.split(' ')[0]),
+      ['UPDATE', 'DELETE']
+    )
+    assert.deepStrictEqual(reports[0].bindings, [0, 'customer2'])
+  })
+})
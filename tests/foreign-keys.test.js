@@ -0,0 +1,269 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Foreign keys from associations', () => {
+  let testDbPath
+  let db
+
+  // (Waterline registers models by table name.)
+  const models = {
+    users: {
+      identity: 'user',
+      tableName: 'users',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        name: { type: 'string', columnName: 'name' }
+      }
+    },
+    pets: {
+      identity: 'pet',
+      tableName: 'pets',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        name: { type: 'string', columnName: 'name' },
+        owner: {
+          type: 'number',
+          model: 'user',
+          columnName: 'owner_id',
+          meta: { onDelete: 'cascade' }
+        },
+        vet: { type: 'number', model: 'user', columnName: 'vet_id' }
+      }
+    }
+  }
+
+  const define = (tableName, tableDef) =>
+    new Promise((resolve, reject) => {
+      adapter.define('fkDatastore', tableName, tableDef, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('fkDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-foreign-keys-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        { identity: 'fkDatastore', adapter: 'sails-sqlite', url: testDbPath },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.fkDatastore.manager
+
+    await define('users', {
+      id: { type: 'number', autoIncrement: true },
+      name: { type: 'string' }
+    })
+    await define('pets', {
+      id: { type: 'number', autoIncrement: true },
+      name: { type: 'string' },
+      owner_id: { columnType: '_numberkey' },
+      vet_id: { columnType: '_numberkey' }
+    })
+    db.prepare('INSERT INTO users (id, name) VALUES (1, ?), (2, ?)').run(
+      'Ann',
+      'Dr. Bob'
+    )
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('fkDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should generate REFERENCES clauses with the configured actions', () => {
+    const foreignKeys = db
+      .prepare(
+        'SELECT "from", "table", "to", on_delete FROM pragma_foreign_key_list(?) ORDER BY "from"'
+      )
+      .all('pets')
+    assert.deepStrictEqual(
+      foreignKeys.map((foreignKey) => ({ ...foreignKey })),
+      [
+        { from: 'owner_id', table: 'users', to: 'id', on_delete: 'CASCADE' },
+        { from: 'vet_id', table: 'users', to: 'id', on_delete: 'NO ACTION' }
+      ]
+    )
+  })
+
+  test('should report the offending column as E_FOREIGN_KEY', async () => {
+    await assert.rejects(
+      run('create', {
+        using: 'pets',
+        newRecord: { name: 'Rex', owner_id: 1, vet_id: 99 },
+        meta: {}
+      }),
+      (err) => {
+        assert.strictEqual(err.code, 'E_FOREIGN_KEY')
+        assert.deepStrictEqual(err.footprint, {
+          identity: 'foreignKey',
+          table: 'pets',
+          keys: ['vet_id'],
+          constraint: 'FOREIGN KEY'
+        })
+        return true
+      }
+    )
+  })
+
+  test('should name the referencing column when a delete is restricted', async () => {
+    db.prepare(
+      'INSERT INTO pets (name, owner_id, vet_id) VALUES (?, 1, 2)'
+    ).run('Fido')
+
+    await assert.rejects(
+      run('destroy', { using: 'users', criteria: { where: { id: 2 } } }),
+      (err) => {
+        assert.strictEqual(err.code, 'E_FOREIGN_KEY')
+        assert.deepStrictEqual(err.footprint, {
+          identity: 'foreignKey',
+          table: 'pets',
+          keys: ['vet_id'],
+          constraint: 'FOREIGN KEY'
+        })
+        return true
+      }
+    )
+
+    // ON DELETE CASCADE removes the owner's pets along with them.
+    db.prepare('UPDATE pets SET vet_id = NULL').run()
+    await run('destroy', { using: 'users', criteria: { where: { id: 1 } } })
+    assert.strictEqual(
+      db.prepare('SELECT COUNT(*) AS count FROM pets').get().count,
+      0
+    )
+  })
+})
+
+describe('Foreign keys through Waterline', () => {
+  let testDbPath
+  let orm
+
+  before(async () => {
+    testDbPath = path.join(
+      __dirname,
+      `test-foreign-keys-orm-${Date.now()}.sqlite`
+    )
+    orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            ormFkDatastore: { adapter: 'sails-sqlite', url: testDbPath }
+          },
+          models: {
+            owner: {
+              tableName: 'people',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                name: {
+                  type: 'string',
+                  autoMigrations: { columnType: '_string' }
+                }
+              }
+            },
+            pet: {
+              tableName: 'animals',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                owner: {
+                  model: 'owner',
+                  columnName: 'owner_id',
+                  autoMigrations: { columnType: '_numberkey' }
+                }
+              }
+            }
+          },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'ormFkDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('drop', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should reference a model with a custom tableName', async () => {
+    const foreignKeys = adapter.datastores.ormFkDatastore.manager
+      .prepare('SELECT "from", "table", "to" FROM pragma_foreign_key_list(?)')
+      .all('animals')
+    assert.deepStrictEqual(
+      foreignKeys.map((foreignKey) => ({ ...foreignKey })),
+      [{ from: 'owner_id', table: 'people', to: 'id' }]
+    )
+
+    const Owner = Waterline.getModel('owner', orm)
+    const Pet = Waterline.getModel('pet', orm)
+    const owner = await Owner.create({ name: 'Ann' }).fetch()
+    await Pet.create({ owner: owner.id })
+    // (Waterline passes the adapter's error along as `raw`.)
+    await assert.rejects(Owner.destroy({ id: owner.id }), (err) => {
+      assert.strictEqual(err.raw.code, 'E_FOREIGN_KEY')
+      assert.deepStrictEqual(err.raw.footprint, {
+        identity: 'foreignKey',
+        table: 'animals',
+        keys: ['owner_id'],
+        constraint: 'FOREIGN KEY'
+      })
+      return true
+    })
+  })
+})
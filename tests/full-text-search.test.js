@@ -0,0 +1,261 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Full-text search', () => {
+  let testDbPath
+  let db
+
+  const models = {
+    articles: {
+      identity: 'article',
+      tableName: 'articles',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        title: { type: 'string', columnName: 'title' },
+        body: { type: 'string', columnName: 'body_text' },
+        published: { type: 'boolean', columnName: 'published' }
+      }
+    },
+    comments: {
+      identity: 'comment',
+      tableName: 'comments',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        text: { type: 'string', columnName: 'text' }
+      }
+    }
+  }
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('ftsDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  const define = (tableName, tableDef) =>
+    new Promise((resolve, reject) => {
+      adapter.define('ftsDatastore', tableName, tableDef, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const search = (meta, where = {}) =>
+    run('find', {
+      using: 'articles',
+      criteria: { where, sort: [{ id: 'ASC' }] },
+      meta
+    }).then((records) => records.map((record) => record.id))
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-fts-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'ftsDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          tables: { articles: { fullTextSearch: ['title', 'body'] } }
+        },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.ftsDatastore.manager
+
+    // Rows that exist before the index does should still be searchable.
+    db.exec(
+      'CREATE TABLE articles (`id` INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, `title` TEXT, `body_text` TEXT, `published` INTEGER)'
+    )
+    db.prepare('INSERT INTO articles (title, body_text) VALUES (?, ?)').run(
+      'Tuning SQLite',
+      'Pragmas, indexes and the query planner'
+    )
+    await define('articles', {
+      id: { type: 'number', autoIncrement: true },
+      title: { type: 'string' },
+      body_text: { type: 'string' },
+      published: { type: 'boolean' }
+    })
+    await define('comments', {
+      id: { type: 'number', autoIncrement: true },
+      text: { type: 'string' }
+    })
+
+    for (const newRecord of [
+      {
+        title: 'Postgres or SQLite?',
+        body_text: 'SQLite is fine for most apps',
+        published: true
+      },
+      {
+        title: 'Cooking pasta',
+        body_text: 'Salt the water generously',
+        published: true
+      }
+    ]) {
+      await run('create', { using: 'articles', newRecord, meta: {} })
+    }
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('ftsDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should match across the indexed columns', async () => {
+    assert.deepStrictEqual(await search({ search: 'sqlite' }), [1, 2])
+    assert.deepStrictEqual(await search({ search: 'water' }), [3])
+    assert.deepStrictEqual(
+      await search({ search: 'sqlite' }, { published: true }),
+      [2]
+    )
+    assert.strictEqual(
+      await run('count', {
+        using: 'articles',
+        criteria: { where: {} },
+        meta: { search: 'sqlite OR pasta' }
+      }),
+      3
+    )
+  })
+
+  test('should rank results by relevance when asked to', async () => {
+    assert.deepStrictEqual(
+      await search({ search: { query: 'sqlite', rank: true } }),
+      [2, 1]
+    )
+  })
+
+  test('should keep the index in sync with updates and deletes', async () => {
+    await run('update', {
+      using: 'articles',
+      criteria: { where: { id: 3 } },
+      valuesToSet: { title: 'Cooking risotto' },
+      meta: {}
+    })
+    assert.deepStrictEqual(await search({ search: 'pasta' }), [])
+    assert.deepStrictEqual(await search({ search: 'risotto' }), [3])
+
+    await run('destroy', {
+      using: 'articles',
+      criteria: { where: { id: 1 } },
+      meta: {}
+    })
+    assert.deepStrictEqual(await search({ search: 'sqlite' }), [2])
+  })
+
+  test('should refuse to search a table without `fullTextSearch`', async () => {
+    await assert.rejects(
+      run('find', {
+        using: 'comments',
+        criteria: { where: {} },
+        meta: { search: 'anything' }
+      }),
+      /has no `fullTextSearch` attributes/
+    )
+  })
+})
+
+describe('Full-text search through Waterline', () => {
+  let testDbPath
+  let orm
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-fts-orm-${Date.now()}.sqlite`)
+    orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            ormFtsDatastore: {
+              adapter: 'sails-sqlite',
+              url: testDbPath,
+              tables: { articles: { fullTextSearch: ['title', 'body'] } }
+            }
+          },
+          models: {
+            article: {
+              tableName: 'articles',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                title: {
+                  type: 'string',
+                  autoMigrations: { columnType: '_string' }
+                },
+                body: {
+                  type: 'string',
+                  columnName: 'body_text',
+                  autoMigrations: { columnType: '_string' }
+                }
+              }
+            }
+          },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'ormFtsDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('drop', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should search the attributes configured for the table', async () => {
+    const Article = Waterline.getModel('article', orm)
+    await Article.createEach([
+      { title: 'Postgres or SQLite?', body: 'SQLite is fine for most apps' },
+      { title: 'Cooking pasta', body: 'Salt the water generously' }
+    ])
+
+    const articles = await Article.find().meta({ search: 'sqlite' })
+    assert.deepStrictEqual(
+      articles.map((article) => article.title),
+      ['Postgres or SQLite?']
+    )
+  })
+})
@@ -6,7 +6,28 @@ const fs = require('node:fs')
 
 // __dirname is automatically available in CommonJS
 
-const testFiles = ['transaction.test.js']
+const testFiles = [
+  'transaction.test.js',
+  'where-clause.test.js',
+  'statement-cache.test.js',
+  'alter.test.js',
+  'migrations.test.js',
+  'foreign-keys.test.js',
+  'indexes.test.js',
+  'strict.test.js',
+  'full-text-search.test.js',
+  'join.test.js',
+  'worker-threads.test.js',
+  'backup.test.js',
+  'wal.test.js',
+  'diagnostics.test.js',
+  'maintenance.test.js',
+  'query-hooks.test.js',
+  'explain.test.js',
+  'collation.test.js',
+  'retry.test.js',
+  'native-errors.test.js'
+]
 
 function cleanupTestDatabases() {
   try {
@@ -0,0 +1,233 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Table indexes', () => {
+  let testDbPath
+  let db
+
+  const tableDef = {
+    id: { type: 'number', autoIncrement: true },
+    org: { type: 'string' },
+    created_at: { type: 'number' },
+    deleted_at: { type: 'number' },
+    email: { type: 'string' }
+  }
+
+  const register = (indexes) =>
+    new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'indexDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          tables: { tickets: { indexes } }
+        },
+        {
+          tickets: {
+            identity: 'ticket',
+            tableName: 'tickets',
+            primaryKey: 'id',
+            definition: {
+              id: { type: 'number', autoIncrement: true, columnName: 'id' },
+              org: { type: 'string', columnName: 'org' },
+              createdAt: { type: 'number', columnName: 'created_at' },
+              deletedAt: { type: 'number', columnName: 'deleted_at' },
+              email: { type: 'string', columnName: 'email' }
+            }
+          }
+        },
+        (err) => {
+          if (err) return reject(err)
+          db = adapter.datastores.indexDatastore.manager
+          resolve()
+        }
+      )
+    })
+
+  const teardown = () =>
+    new Promise((resolve, reject) => {
+      adapter.teardown('indexDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const define = () =>
+    new Promise((resolve, reject) => {
+      adapter.define('indexDatastore', 'tickets', tableDef, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const indexesOf = (tableName) =>
+    db
+      .prepare(
+        "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL ORDER BY name"
+      )
+      .all(tableName)
+      .reduce((indexes, { name, sql }) => ({ ...indexes, [name]: sql }), {})
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-indexes-${Date.now()}.sqlite`)
+    await register([
+      { columns: ['org', 'createdAt'], where: '`deleted_at` IS NULL' },
+      { columns: [{ expression: 'lower(`email`)' }], unique: true }
+    ])
+    await define()
+  })
+
+  after(async () => {
+    await teardown()
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should create composite, partial and expression indexes', () => {
+    assert.deepStrictEqual(indexesOf('tickets'), {
+      idx_tickets_lower_email:
+        'CREATE UNIQUE INDEX `idx_tickets_lower_email` ON `tickets` (lower(`email`))',
+      idx_tickets_org_created_at:
+        'CREATE INDEX `idx_tickets_org_created_at` ON `tickets` (`org`, `created_at`) WHERE `deleted_at` IS NULL'
+    })
+
+    const plan = db
+      .prepare(
+        'EXPLAIN QUERY PLAN SELECT * FROM tickets WHERE org = ? AND created_at > ? AND deleted_at IS NULL'
+      )
+      .all('acme', 0)
+    assert.ok(
+      plan.some((step) => step.detail.includes('idx_tickets_org_created_at'))
+    )
+  })
+
+  test('should leave matching indexes alone when defined again', async () => {
+    const rootpages = () =>
+      db
+        .prepare(
+          "SELECT name, rootpage FROM sqlite_master WHERE type = 'index' AND tbl_name = 'tickets'"
+        )
+        .all()
+    const before = rootpages()
+    await define()
+    assert.deepStrictEqual(rootpages(), before)
+  })
+
+  test('should recreate changed indexes and drop removed ones', async () => {
+    db.exec('CREATE INDEX custom_tickets_email ON tickets (email)')
+    await teardown()
+    await register([
+      { columns: ['org', 'createdAt'], where: '`deleted_at` IS NOT NULL' }
+    ])
+    await define()
+
+    assert.deepStrictEqual(indexesOf('tickets'), {
+      custom_tickets_email:
+        'CREATE INDEX custom_tickets_email ON tickets (email)',
+      idx_tickets_org_created_at:
+        'CREATE INDEX `idx_tickets_org_created_at` ON `tickets` (`org`, `created_at`) WHERE `deleted_at` IS NOT NULL'
+    })
+  })
+})
+
+describe('Table indexes through Waterline', () => {
+  let testDbPath
+  let orm
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-indexes-orm-${Date.now()}.sqlite`)
+    orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            ormIndexDatastore: {
+              adapter: 'sails-sqlite',
+              url: testDbPath,
+              tables: {
+                tickets: {
+                  indexes: [
+                    {
+                      columns: ['org', 'createdAt'],
+                      where: '`deleted_at` IS NULL'
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          models: {
+            ticket: {
+              tableName: 'tickets',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                org: {
+                  type: 'string',
+                  autoMigrations: { columnType: '_string' }
+                },
+                createdAt: {
+                  type: 'number',
+                  columnName: 'created_at',
+                  autoMigrations: { columnType: '_number' }
+                },
+                deletedAt: {
+                  type: 'number',
+                  columnName: 'deleted_at',
+                  allowNull: true,
+                  autoMigrations: { columnType: '_number' }
+                }
+              }
+            }
+          },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'ormIndexDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('drop', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should create the indexes configured for the table', () => {
+    const { sql } = adapter.datastores.ormIndexDatastore.manager
+      .prepare(
+        "SELECT sql FROM sqlite_master WHERE type = 'index' AND name = 'idx_tickets_org_created_at'"
+      )
+      .get()
+    assert.strictEqual(
+      sql,
+      'CREATE INDEX `idx_tickets_org_created_at` ON `tickets` (`org`, `created_at`) WHERE `deleted_at` IS NULL'
+    )
+  })
+})
@@ -0,0 +1,278 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Populate (join)', () => {
+  let testDbPath
+  let db
+  let preparedSql = []
+
+  const models = {
+    user: {
+      identity: 'user',
+      tableName: 'user',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        name: { type: 'string', columnName: 'name' },
+        pets: { collection: 'pet', via: 'owner' },
+        tags: { collection: 'tag', via: 'users' }
+      }
+    },
+    pet: {
+      identity: 'pet',
+      tableName: 'pet',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        name: { type: 'string', columnName: 'name' },
+        photo: { type: 'ref', columnName: 'photo' },
+        owner: { type: 'number', model: 'user', columnName: 'owner' }
+      }
+    },
+    tag: {
+      identity: 'tag',
+      tableName: 'tag',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        label: { type: 'string', columnName: 'label' }
+      }
+    },
+    tag_users__user_tags: {
+      identity: 'tag_users__user_tags',
+      tableName: 'tag_users__user_tags',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        tag_users: { type: 'number', columnName: 'tag_users' },
+        user_tags: { type: 'number', columnName: 'user_tags' }
+      }
+    }
+  }
+
+  // The join instructions Waterline builds for `.populate('pets', criteria)`
+  // and `.populate('tags', criteria)`.
+  const populatePets = (criteria) => [
+    {
+      parentCollectionIdentity: 'user',
+      parent: 'user',
+      parentAlias: 'user__pets',
+      parentKey: 'id',
+      childCollectionIdentity: 'pet',
+      child: 'pet',
+      childAlias: 'pet__pets',
+      childKey: 'owner',
+      alias: 'pets',
+      removeParentKey: false,
+      model: false,
+      collection: true,
+      criteria: { where: {}, select: ['id', 'name', 'owner'], ...criteria }
+    }
+  ]
+  const populateTags = (criteria) => [
+    {
+      parentCollectionIdentity: 'user',
+      parent: 'user',
+      parentAlias: 'user__tags',
+      parentKey: 'id',
+      childCollectionIdentity: 'tag_users__user_tags',
+      child: 'tag_users__user_tags',
+      childAlias: 'tag_users__user_tags__tags',
+      childKey: 'user_tags',
+      select: false,
+      alias: 'tags',
+      removeParentKey: false,
+      model: false,
+      collection: true,
+      junctionTable: true
+    },
+    {
+      parentCollectionIdentity: 'tag_users__user_tags',
+      parent: 'tag_users__user_tags',
+      parentAlias: 'tag_users__user_tags__tags',
+      parentKey: 'tag_users',
+      childCollectionIdentity: 'tag',
+      child: 'tag',
+      childAlias: 'tag__tags',
+      childKey: 'id',
+      alias: 'tags',
+      junctionTable: true,
+      removeParentKey: false,
+      model: false,
+      collection: true,
+      criteria: { where: {}, select: ['id', 'label'], ...criteria }
+    }
+  ]
+
+  const join = (joins) =>
+    new Promise((resolve, reject) => {
+      preparedSql = []
+      adapter.join(
+        'joinDatastore',
+        {
+          method: 'find',
+          using: 'user',
+          criteria: {
+            where: {},
+            select: ['id', 'name'],
+            sort: [{ id: 'ASC' }],
+            limit: Number.MAX_SAFE_INTEGER,
+            skip: 0
+          },
+          joins,
+          meta: {}
+        },
+        (err, result) => {
+          if (err) return reject(err)
+          resolve(result)
+        }
+      )
+    })
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-join-${Date.now()}.sqlite`)
+
+    // Without a read pool, every query goes through the writer, where the
+    // statements are counted below.
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'joinDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          readPoolSize: 0
+        },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.joinDatastore.manager
+
+    db.exec(`
+      CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT);
+      CREATE TABLE pet (id INTEGER PRIMARY KEY, name TEXT, photo BLOB, owner INTEGER);
+      CREATE TABLE tag (id INTEGER PRIMARY KEY, label TEXT);
+      CREATE TABLE tag_users__user_tags (id INTEGER PRIMARY KEY, tag_users INTEGER, user_tags INTEGER);
+    `)
+    // User n has 2n pets and n + 1 tags.
+    for (let userId = 1; userId <= 4; userId++) {
+      db.prepare('INSERT INTO user VALUES (?, ?)').run(userId, `user${userId}`)
+      for (let n = 1; n <= userId * 2; n++) {
+        db.prepare('INSERT INTO pet (name, owner) VALUES (?, ?)').run(
+          `pet${userId}-${n}`,
+          userId
+        )
+      }
+      for (let tagId = 1; tagId <= userId + 1; tagId++) {
+        db.prepare(
+          'INSERT INTO tag_users__user_tags (tag_users, user_tags) VALUES (?, ?)'
+        ).run(tagId, userId)
+      }
+    }
+    for (let tagId = 1; tagId <= 5; tagId++) {
+      db.prepare('INSERT INTO tag VALUES (?, ?)').run(tagId, `tag${tagId}`)
+    }
+    db.prepare('UPDATE pet SET photo = ? WHERE name = ?').run(
+      Buffer.from([0, 1, 254, 255]),
+      'pet2-1'
+    )
+
+    const getPreparedStatement = db.getPreparedStatement
+    db.getPreparedStatement = (sql) => {
+      preparedSql.push(sql)
+      return getPreparedStatement.call(db, sql)
+    }
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('joinDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should paginate children per parent in a single query', async () => {
+    const users = await join(
+      populatePets({ sort: [{ id: 'DESC' }], limit: 2, skip: 1 })
+    )
+
+    assert.deepStrictEqual(
+      users.map((user) => user.pets.map((pet) => pet.name)),
+      [
+        ['pet1-1'],
+        ['pet2-3', 'pet2-2'],
+        ['pet3-5', 'pet3-4'],
+        ['pet4-7', 'pet4-6']
+      ]
+    )
+    assert.strictEqual(preparedSql.length, 1)
+    assert.match(preparedSql[0], /json_group_array/)
+    assert.ok(!('__sails_populate_0' in users[0]))
+  })
+
+  test('should populate many-to-many associations through the junction table', async () => {
+    const users = await join(populateTags({ sort: [{ id: 'ASC' }] }))
+
+    assert.deepStrictEqual(
+      users.map((user) => user.tags.map((tag) => tag.label)),
+      [
+        ['tag1', 'tag2'],
+        ['tag1', 'tag2', 'tag3'],
+        ['tag1', 'tag2', 'tag3', 'tag4'],
+        ['tag1', 'tag2', 'tag3', 'tag4', 'tag5']
+      ]
+    )
+    assert.strictEqual(preparedSql.length, 1)
+  })
+
+  test('should filter children, and keep their BLOB columns', async () => {
+    const users = await join(
+      populatePets({
+        where: { name: { like: '%-1' } },
+        select: ['id', 'name', 'photo', 'owner']
+      })
+    )
+
+    assert.deepStrictEqual(
+      users.map((user) => user.pets.map((pet) => pet.name)),
+      [['pet1-1'], ['pet2-1'], ['pet3-1'], ['pet4-1']]
+    )
+    assert.ok(Buffer.isBuffer(users[1].pets[0].photo))
+    assert.deepStrictEqual([...users[1].pets[0].photo], [0, 1, 254, 255])
+    assert.strictEqual(users[0].pets[0].photo, null)
+  })
+
+  test('should populate several paginated associations in a single query', async () => {
+    const users = await join([
+      ...populatePets({ sort: [{ id: 'DESC' }], limit: 1 }),
+      ...populateTags({ sort: [{ id: 'DESC' }], limit: 2 })
+    ])
+
+    assert.deepStrictEqual(
+      users.map((user) => ({
+        pets: user.pets.map((pet) => pet.name),
+        tags: user.tags.map((tag) => tag.label)
+      })),
+      [
+        { pets: ['pet1-2'], tags: ['tag2', 'tag1'] },
+        { pets: ['pet2-4'], tags: ['tag3', 'tag2'] },
+        { pets: ['pet3-6'], tags: ['tag4', 'tag3'] },
+        { pets: ['pet4-8'], tags: ['tag5', 'tag4'] }
+      ]
+    )
+    assert.strictEqual(preparedSql.length, 1)
+  })
+})
@@ -0,0 +1,171 @@
+const { test, describe, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Maintenance', () => {
+  const registered = []
+
+  const register = (identity, config) =>
+    new Promise((resolve, reject) => {
+      const url = path.join(__dirname, `test-${identity}-${Date.now()}.sqlite`)
+      adapter.registerDatastore(
+        { identity, adapter: 'sails-sqlite', url, readPoolSize: 0, ...config },
+        {},
+        (err) => {
+          if (err) {
+            fs.rmSync(url, { force: true })
+            return reject(err)
+          }
+          registered.push({ identity, url })
+          const db = adapter.datastores[identity].manager
+          db.exec(
+            'CREATE TABLE IF NOT EXISTS logs (id INTEGER PRIMARY KEY, line TEXT)'
+          )
+          resolve(db)
+        }
+      )
+    })
+
+  const insertLogs = (db, count) => {
+    const insert = db.prepare('INSERT INTO logs (line) VALUES (?)')
+    for (let i = 0; i < count; i++) {
+      insert.run('x'.repeat(500))
+    }
+  }
+
+  // (The maintenance timers don't keep the process alive, so this one does.)
+  const waitForRun = (db, predicate) =>
+    new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        db.maintenance.off('run', onRun)
+        reject(new Error('No maintenance task ran in time.'))
+      }, 2000)
+      function onRun(outcome) {
+        if (predicate(outcome)) {
+          clearTimeout(timeout)
+          db.maintenance.off('run', onRun)
+          resolve(outcome)
+        }
+      }
+      db.maintenance.on('run', onRun)
+    })
+
+  after(async () => {
+    for (const { identity, url } of registered) {
+      await new Promise((resolve, reject) => {
+        adapter.teardown(identity, (err) => {
+          if (err) return reject(err)
+          resolve()
+        })
+      })
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(url + suffix)) fs.unlinkSync(url + suffix)
+      }
+    }
+  })
+
+  test('should only ANALYZE once enough rows have changed', async () => {
+    const db = await register('analyzeDatastore', {
+      maintenance: {
+        optimize: false,
+        incrementalVacuum: false,
+        analyze: { interval: 20, changeThreshold: 50 }
+      }
+    })
+
+    insertLogs(db, 10)
+    const skipped = await waitForRun(db, () => true)
+    assert.strictEqual(skipped.task, 'analyze')
+    assert.strictEqual(skipped.status, 'skipped')
+    assert.match(skipped.reason, /only \d+ rows changed/)
+
+    insertLogs(db, 60)
+    const done = await waitForRun(db, (outcome) => outcome.status === 'done')
+    assert.ok(done.details.changes >= 60)
+    assert.ok(done.durationMs >= 0)
+
+    // Nothing has changed since.
+    const afterwards = await waitForRun(db, () => true)
+    assert.strictEqual(afterwards.status, 'skipped')
+    db.maintenance.stop()
+  })
+
+  test('should free pages with incremental_vacuum, when enabled', async () => {
+    const db = await register('vacuumDatastore', {
+      pragmas: { auto_vacuum: 'INCREMENTAL' }
+    })
+    insertLogs(db, 500)
+    db.exec('DELETE FROM logs')
+    assert.ok(db.pragma('freelist_count', { simple: true }) > 0)
+
+    const outcome = db.maintenance.runNow('incrementalVacuum')
+
+    assert.strictEqual(outcome.status, 'done')
+    assert.ok(outcome.details.pagesFreed > 0)
+    assert.strictEqual(db.pragma('freelist_count', { simple: true }), 0)
+
+    const other = adapter.datastores.analyzeDatastore.manager
+    assert.deepStrictEqual(
+      [other.maintenance.runNow('incrementalVacuum')].map(
+        ({ status, reason }) => ({ status, reason })
+      ),
+      [{ status: 'skipped', reason: 'auto_vacuum is not INCREMENTAL' }]
+    )
+  })
+
+  test('should only run scheduled tasks in quiet hours', async () => {
+    // A one-hour window starting two hours from now.
+    const hour = (new Date().getHours() + 2) % 24
+    const db = await register('quietDatastore', {
+      maintenance: {
+        optimize: { interval: 20 },
+        analyze: false,
+        incrementalVacuum: false,
+        quietHours: [{ start: `${hour}:00`, end: `${(hour + 1) % 24}:00` }]
+      }
+    })
+
+    const scheduled = await waitForRun(db, () => true)
+    assert.strictEqual(scheduled.status, 'skipped')
+    assert.strictEqual(scheduled.reason, 'outside quiet hours')
+
+    // Running a task by hand ignores the quiet hours.
+    assert.strictEqual(db.maintenance.runNow('optimize').status, 'done')
+  })
+
+  test('should run every task from optimize(), without a VACUUM', async () => {
+    const db = adapter.datastores.vacuumDatastore.manager
+    const executed = []
+    const exec = db.exec
+    db.exec = function (sql) {
+      executed.push(sql)
+      return exec.call(this, sql)
+    }
+
+    const outcomes = db.optimize()
+    db.exec = exec
+
+    assert.deepStrictEqual(
+      outcomes.map(({ task, status }) => [task, status]),
+      [
+        ['optimize', 'done'],
+        ['analyze', 'done'],
+        ['incrementalVacuum', 'done']
+      ]
+    )
+    assert.ok(!executed.some((sql) => /VACUUM/i.test(sql)))
+  })
+
+  test('should reject malformed quiet hours', async () => {
+    await assert.rejects(
+      register('badQuietDatastore', {
+        maintenance: { quietHours: [{ start: '25:00', end: '26:00' }] }
+      }),
+      /quietHours/
+    )
+  })
+})
@@ -0,0 +1,199 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const os = require('node:os')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Versioned migrations', () => {
+  let testDbPath
+  let migrationsDir
+  let db
+
+  const call = (methodName) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('migrationsDatastore', {}, (err, report) => {
+        if (err) return reject(err)
+        resolve(report)
+      })
+    })
+
+  const writeMigration = (fileName, source) =>
+    fs.writeFileSync(path.join(migrationsDir, fileName), source)
+
+  const tableExists = (tableName) =>
+    !!db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?"
+      )
+      .get(tableName)
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-migrations-${Date.now()}.sqlite`)
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sails-sqlite-'))
+
+    writeMigration(
+      '20240101000000_create_pets.js',
+      `module.exports = {
+        up(db) { db.exec('CREATE TABLE pets (id INTEGER PRIMARY KEY, name TEXT)') },
+        down(db) { db.exec('DROP TABLE pets') }
+      }`
+    )
+    writeMigration(
+      '20240102000000_create_toys.js',
+      `module.exports = {
+        async up(db) { db.exec('CREATE TABLE toys (id INTEGER PRIMARY KEY)') },
+        async down(db) { db.exec('DROP TABLE toys') }
+      }`
+    )
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'migrationsDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          migrations: { directory: migrationsDir, tableName: 'schema_history' }
+        },
+        {
+          migrationvisit: {
+            identity: 'migrationvisit',
+            tableName: 'visits',
+            primaryKey: 'id',
+            definition: {
+              id: { type: 'number', autoIncrement: true, columnName: 'id' },
+              page: { type: 'string', columnName: 'page' }
+            }
+          }
+        },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.migrationsDatastore.manager
+    db.exec('CREATE TABLE visits (id INTEGER PRIMARY KEY, page TEXT)')
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('migrationsDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+    fs.rmSync(migrationsDir, { recursive: true, force: true })
+  })
+
+  test('should run pending migrations as one batch', async () => {
+    const report = await call('migrateLatest')
+    assert.deepStrictEqual(report, {
+      batch: 1,
+      migrated: [
+        '20240101000000_create_pets.js',
+        '20240102000000_create_toys.js'
+      ]
+    })
+    assert.ok(tableExists('pets'))
+    assert.ok(tableExists('toys'))
+
+    const again = await call('migrateLatest')
+    assert.deepStrictEqual(again, { batch: null, migrated: [] })
+  })
+
+  test('should report applied and pending migrations', async () => {
+    writeMigration(
+      '20240103000000_add_pet_age.js',
+      `module.exports = {
+        up(db) { db.exec('ALTER TABLE pets ADD COLUMN age INTEGER') }
+      }`
+    )
+
+    const status = await call('migrationStatus')
+    assert.deepStrictEqual(
+      status.applied.map((migration) => migration.name),
+      ['20240101000000_create_pets.js', '20240102000000_create_toys.js']
+    )
+    assert.deepStrictEqual(status.pending, ['20240103000000_add_pet_age.js'])
+    assert.deepStrictEqual(status.missing, [])
+  })
+
+  test('should keep nothing from a batch that fails', async () => {
+    writeMigration(
+      '20240104000000_broken.js',
+      `module.exports = {
+        up(db) { db.exec('CREATE TABLE bowls (id INTEGER PRIMARY KEY)'); throw new Error('boom') }
+      }`
+    )
+
+    await assert.rejects(call('migrateLatest'), /boom/)
+    assert.ok(!tableExists('bowls'))
+    const columns = db
+      .prepare('SELECT name FROM pragma_table_info(?)')
+      .all('pets')
+      .map((row) => row.name)
+    assert.ok(!columns.includes('age'))
+
+    fs.unlinkSync(path.join(migrationsDir, '20240104000000_broken.js'))
+    fs.unlinkSync(path.join(migrationsDir, '20240103000000_add_pet_age.js'))
+  })
+
+  test('should keep writes made meanwhile out of a migration that fails', async () => {
+    writeMigration(
+      '20240105000000_slow_and_broken.js',
+      `module.exports = {
+        async up(db) {
+          db.exec('CREATE TABLE bowls (id INTEGER PRIMARY KEY)')
+          await new Promise((resolve) => setTimeout(resolve, 50))
+          throw new Error('slow boom')
+        }
+      }`
+    )
+
+    const migrating = call('migrateLatest')
+    // e.g. a request handled while the migration awaits something
+    const visit = new Promise((resolve, reject) => {
+      adapter.create(
+        'migrationsDatastore',
+        { using: 'visits', newRecord: { page: '/' }, meta: {} },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+
+    await assert.rejects(migrating, /slow boom/)
+    await visit
+    assert.ok(!tableExists('bowls'))
+    assert.strictEqual(
+      db.prepare('SELECT COUNT(*) AS count FROM visits').get().count,
+      1
+    )
+
+    fs.unlinkSync(path.join(migrationsDir, '20240105000000_slow_and_broken.js'))
+  })
+
+  test('should roll back the most recent batch', async () => {
+    const report = await call('migrateRollback')
+    assert.deepStrictEqual(report, {
+      batch: 1,
+      rolledBack: [
+        '20240102000000_create_toys.js',
+        '20240101000000_create_pets.js'
+      ]
+    })
+    assert.ok(!tableExists('pets'))
+    assert.ok(!tableExists('toys'))
+
+    const status = await call('migrationStatus')
+    assert.deepStrictEqual(status.applied, [])
+    assert.strictEqual(status.pending.length, 2)
+  })
+})
@@ -0,0 +1,339 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Database = require('better-sqlite3')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+const describeNativeError = require('../lib/private/machines/private/describe-native-error')
+
+describe('Native errors', () => {
+  let testDbPath
+  let db
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('nativeErrorsDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  // What SQLite throws for `sql`.
+  const nativeError = (sql) => {
+    try {
+      db.exec(sql)
+    } catch (err) {
+      return err
+    }
+    throw new Error(`Expected \`${sql}\` to fail.`)
+  }
+
+  // The exit and footprint the driver's `parseNativeQueryError()` gives `err`.
+  const parse = (err) =>
+    new Promise((resolve, reject) => {
+      adapter.datastores.nativeErrorsDatastore.driver
+        .parseNativeQueryError({ nativeQueryError: err })
+        .switch({
+          error: reject,
+          malformed: (report) => reject(report.error),
+          notUnique: (report) =>
+            resolve({ exit: 'notUnique', footprint: report.footprint }),
+          success: (report) =>
+            resolve({ exit: 'success', footprint: report.footprint })
+        })
+    })
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-native-errors-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'nativeErrorsDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath
+        },
+        {
+          account: {
+            identity: 'account',
+            tableName: 'accounts',
+            primaryKey: 'id',
+            definition: {
+              id: { type: 'number', autoIncrement: true, columnName: 'id' },
+              email: { type: 'string', columnName: 'email' },
+              balance: { type: 'number', columnName: 'balance' }
+            }
+          },
+          membership: {
+            identity: 'membership',
+            tableName: 'org-members',
+            primaryKey: 'id',
+            definition: {
+              id: { type: 'number', autoIncrement: true, columnName: 'id' },
+              orgId: { type: 'number', columnName: 'org_id' },
+              emailAddress: { type: 'string', columnName: 'email address' },
+              nickname: { type: 'string', columnName: 'nickname' }
+            }
+          }
+        },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+
+    db = adapter.datastores.nativeErrorsDatastore.manager
+    db.exec(`
+      CREATE TABLE accounts (
+        id INTEGER PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        balance REAL CONSTRAINT balance_min CHECK (balance >= 0)
+      );
+      CREATE TABLE transfers (
+        id INTEGER PRIMARY KEY,
+        account_id INTEGER REFERENCES accounts(id)
+      );
+      INSERT INTO accounts (id, email, balance) VALUES (1, 'a@example.com', 10);
+      CREATE TABLE \`org-members\` (
+        id INTEGER PRIMARY KEY,
+        org_id INTEGER,
+        \`email address\` TEXT,
+        nickname TEXT,
+        UNIQUE (org_id, \`email address\`)
+      );
+      CREATE UNIQUE INDEX members_nickname ON \`org-members\` (lower(nickname));
+    `)
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('nativeErrorsDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should describe each kind of constraint violation', () => {
+    const cases = [
+      [
+        "INSERT INTO accounts (id, email) VALUES (1, 'b@example.com')",
+        'E_UNIQUE',
+        { identity: 'notUnique', keys: ['id'], constraint: 'PRIMARY KEY' }
+      ],
+      [
+        "INSERT INTO accounts (email) VALUES ('a@example.com')",
+        'E_UNIQUE',
+        { identity: 'notUnique', keys: ['email'], constraint: 'UNIQUE' }
+      ],
+      [
+        'INSERT INTO accounts (email) VALUES (NULL)',
+        'E_CONSTRAINT',
+        { identity: 'violation', keys: ['email'], constraint: 'NOT NULL' }
+      ],
+      [
+        "INSERT INTO accounts (email, balance) VALUES ('b@example.com', -1)",
+        'E_CONSTRAINT',
+        { identity: 'violation', keys: ['balance'], constraint: 'balance_min' }
+      ]
+    ]
+
+    for (const [sql, code, footprint] of cases) {
+      assert.deepStrictEqual(
+        describeNativeError(nativeError(sql), { tableName: 'accounts' }),
+        {
+          name: 'UsageError',
+          code,
+          footprint: { table: 'accounts', ...footprint }
+        }
+      )
+    }
+  })
+
+  test('should describe a foreign key violation', () => {
+    const err = nativeError('INSERT INTO transfers (account_id) VALUES (99)')
+    assert.strictEqual(err.code, 'SQLITE_CONSTRAINT_FOREIGNKEY')
+    assert.deepStrictEqual(
+      describeNativeError(err, {
+        db,
+        tableName: 'transfers',
+        records: [{ account_id: 99 }]
+      }).footprint,
+      {
+        identity: 'foreignKey',
+        table: 'transfers',
+        keys: ['account_id'],
+        constraint: 'FOREIGN KEY'
+      }
+    )
+  })
+
+  test('should describe errors that are not about constraints', () => {
+    const cases = [
+      [nativeError('SELECT zeroblob(2000000000)'), 'E_TOOBIG', 'tooBig'],
+      [
+        new Database.SqliteError('interrupted', 'SQLITE_INTERRUPT'),
+        'E_INTERRUPT',
+        'interrupted'
+      ],
+      [
+        new Database.SqliteError(
+          'database disk image is malformed',
+          'SQLITE_CORRUPT_INDEX'
+        ),
+        'E_CORRUPT',
+        'corrupt'
+      ],
+      [
+        new Database.SqliteError('disk I/O error', 'SQLITE_IOERR_SHORT_READ'),
+        'E_IOERR',
+        'ioError'
+      ],
+      [
+        new Database.SqliteError(
+          'unable to open database file',
+          'SQLITE_CANTOPEN_ISDIR'
+        ),
+        'E_CANTOPEN',
+        'cantOpen'
+      ],
+      [
+        new Database.SqliteError('database is locked', 'SQLITE_BUSY_TIMEOUT'),
+        'E_BUSY',
+        'busy'
+      ],
+      [new Error('Something else'), 'E_UNKNOWN', 'catchall']
+    ]
+
+    for (const [err, code, identity] of cases) {
+      const description = describeNativeError(err)
+      assert.strictEqual(description.code, code)
+      assert.deepStrictEqual(description.footprint, {
+        identity,
+        table: null,
+        keys: []
+      })
+    }
+  })
+
+  test('should give errors from adapter methods the same footprint', async () => {
+    await assert.rejects(
+      run('create', {
+        using: 'accounts',
+        newRecord: { email: 'b@example.com', balance: -1 },
+        meta: {}
+      }),
+      (err) => {
+        assert.strictEqual(err.code, 'E_CONSTRAINT')
+        assert.deepStrictEqual(err.footprint, {
+          identity: 'violation',
+          table: 'accounts',
+          keys: ['balance'],
+          constraint: 'balance_min'
+        })
+        return true
+      }
+    )
+  })
+
+  test('should parse native query errors the same way', async () => {
+    assert.deepStrictEqual(
+      await parse(
+        nativeError("INSERT INTO accounts (email) VALUES ('a@example.com')")
+      ),
+      {
+        exit: 'notUnique',
+        footprint: {
+          identity: 'notUnique',
+          table: 'accounts',
+          keys: ['email'],
+          constraint: 'UNIQUE'
+        }
+      }
+    )
+
+    assert.deepStrictEqual(
+      await parse(nativeError('INSERT INTO accounts (email) VALUES (NULL)')),
+      {
+        exit: 'success',
+        footprint: {
+          identity: 'violation',
+          table: 'accounts',
+          keys: ['email'],
+          constraint: 'NOT NULL'
+        }
+      }
+    )
+
+    assert.deepStrictEqual(
+      (await parse(nativeError('SELECT zeroblob(2000000000)'))).footprint,
+      { identity: 'tooBig', table: null, keys: [] }
+    )
+  })
+
+  test('should give every column of a composite unique violation as attribute names', async () => {
+    const create = (newRecord) =>
+      run('create', { using: 'org-members', newRecord, meta: {} })
+
+    await create({ org_id: 1, 'email address': 'a@example.com' })
+    await assert.rejects(
+      create({ org_id: 1, 'email address': 'a@example.com' }),
+      (err) => {
+        assert.strictEqual(err.code, 'E_UNIQUE')
+        assert.deepStrictEqual(err.footprint, {
+          identity: 'notUnique',
+          table: 'org-members',
+          keys: ['orgId', 'emailAddress'],
+          constraint: 'UNIQUE'
+        })
+        return true
+      }
+    )
+
+    // The same address in another org is fine.
+    await create({ org_id: 2, 'email address': 'a@example.com' })
+
+    // Without the model, the keys are the columns.
+    const err = nativeError(
+      "INSERT INTO `org-members` (org_id, `email address`) VALUES (2, 'a@example.com')"
+    )
+    assert.deepStrictEqual(describeNativeError(err).footprint, {
+      identity: 'notUnique',
+      table: 'org-members',
+      keys: ['org_id', 'email address'],
+      constraint: 'UNIQUE'
+    })
+  })
+
+  test('should name the index of a unique expression', async () => {
+    await run('create', {
+      using: 'org-members',
+      newRecord: { org_id: 3, nickname: 'Sam' },
+      meta: {}
+    })
+    await assert.rejects(
+      run('update', {
+        using: 'org-members',
+        criteria: { where: { org_id: 1 } },
+        valuesToSet: { nickname: 'SAM' },
+        meta: {}
+      }),
+      (err) => {
+        assert.strictEqual(err.code, 'E_UNIQUE')
+        assert.deepStrictEqual(err.footprint, {
+          identity: 'notUnique',
+          table: 'org-members',
+          keys: [],
+          constraint: 'members_nickname'
+        })
+        return true
+      }
+    )
+  })
+})
@@ -0,0 +1,170 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Query hooks', () => {
+  const testDbPath = path.join(
+    __dirname,
+    `test-query-hooks-${Date.now()}.sqlite`
+  )
+  const queries = []
+  const workerQueries = []
+
+  const modelFor = (identity) => ({
+    identity,
+    tableName: 'widgets',
+    primaryKey: 'id',
+    definition: {
+      id: { type: 'number', autoIncrement: true, columnName: 'id' },
+      name: { type: 'string', columnName: 'name' }
+    }
+  })
+
+  const register = (identity, models, config) =>
+    new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        { identity, adapter: 'sails-sqlite', url: testDbPath, ...config },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve(adapter.datastores[identity].manager)
+        }
+      )
+    })
+
+  const run = (datastoreName, methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName](datastoreName, query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  before(async () => {
+    const db = await register(
+      'hooksDatastore',
+      { widget: modelFor('widget') },
+      {
+        onQuery: (query) => queries.push(query),
+        slowQueryThresholdMs: 60 * 1000
+      }
+    )
+    db.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT)')
+  })
+
+  after(async () => {
+    for (const identity of ['hooksDatastore', 'workerHooksDatastore']) {
+      if (!adapter.datastores[identity]) continue
+      await new Promise((resolve, reject) => {
+        adapter.teardown(identity, (err) => {
+          if (err) return reject(err)
+          resolve()
+        })
+      })
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should report each query with its timing and model', async () => {
+    queries.length = 0
+    await run('hooksDatastore', 'create', {
+      method: 'create',
+      using: 'widgets',
+      newRecord: { name: 'sprocket' },
+      meta: {}
+    })
+    await run('hooksDatastore', 'find', {
+      method: 'find',
+      using: 'widgets',
+      criteria: { where: { name: 'sprocket' } }
+    })
+
+    const insert = queries.find((query) => /^INSERT/.test(query.sql))
+    assert.strictEqual(insert.method, 'create')
+    assert.strictEqual(insert.model, 'widget')
+    assert.strictEqual(insert.rows, 1)
+    assert.deepStrictEqual(insert.bindings, ['sprocket'])
+
+    const select = queries[queries.length - 1]
+    assert.match(select.sql, /^SELECT/)
+    assert.strictEqual(select.method, 'find')
+    assert.strictEqual(select.model, 'widget')
+    assert.strictEqual(select.rows, 1)
+    assert.ok(select.durationMs >= 0)
+    assert.ok(!('plan' in select))
+  })
+
+  test('should log slow queries with their query plan', async () => {
+    const db = adapter.datastores.hooksDatastore.manager
+    const warnings = []
+    const warn = console.warn
+    console.warn = (...args) => warnings.push(args)
+    try {
+      db.exec('CREATE INDEX widgets_name ON widgets (name)')
+
+      // Make the query seem to take 61 seconds.
+      const hrtime = process.hrtime.bigint
+      let calls = 0
+      process.hrtime.bigint = () => hrtime() + BigInt(calls++) * 61000000000n
+      try {
+        db.prepare('SELECT * FROM widgets WHERE name = ?').all('sprocket')
+      } finally {
+        process.hrtime.bigint = hrtime
+      }
+
+      assert.strictEqual(warnings.length, 1)
+      assert.match(
+        warnings[0][0],
+        /^Warning: Slow query \(61000\.\dms\): SELECT/
+      )
+      assert.deepStrictEqual(warnings[0][1].bindings, ['sprocket'])
+      assert.match(
+        warnings[0][1].plan.join('\n'),
+        /USING (COVERING )?INDEX widgets_name/
+      )
+      assert.deepStrictEqual(
+        queries[queries.length - 1].plan,
+        warnings[0][1].plan
+      )
+    } finally {
+      console.warn = warn
+    }
+  })
+
+  test('should report the queries run in a worker thread', async () => {
+    await register(
+      'workerHooksDatastore',
+      { workerWidget: modelFor('workerWidget') },
+      {
+        readPoolSize: 0,
+        workerThreads: { size: 1 },
+        onQuery: (query) => workerQueries.push(query)
+      }
+    )
+
+    const widgets = await run('workerHooksDatastore', 'find', {
+      method: 'find',
+      using: 'widgets',
+      criteria: { where: {} }
+    })
+
+    assert.strictEqual(widgets.length, 1)
+    assert.strictEqual(workerQueries.length, 1)
+    assert.strictEqual(workerQueries[0].method, 'find')
+    assert.strictEqual(workerQueries[0].model, 'workerWidget')
+    assert.strictEqual(workerQueries[0].rows, 1)
+  })
+
+  test('should reject an `onQuery` that is not a function', async () => {
+    await assert.rejects(
+      register('badHooksDatastore', {}, { onQuery: 'log' }),
+      /onQuery/
+    )
+  })
+})
@@ -0,0 +1,269 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Database = require('better-sqlite3')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Retrying when the database is busy', () => {
+  const testDbPath = path.join(__dirname, `test-retry-${Date.now()}.sqlite`)
+  const retries = []
+  let otherProcess
+  let releaseAfter
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('retryDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  const finish = (methodName, connection, meta) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName](
+        'retryDatastore',
+        { connection, meta: meta || {} },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+
+  // Hold the write lock from another connection (as another process would),
+  // until the `retries`th retry.
+  const holdWriteLock = (retries) => {
+    otherProcess.exec('BEGIN IMMEDIATE')
+    releaseAfter = retries
+  }
+
+  before(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'retryDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          readPoolSize: 0,
+          pragmas: { busy_timeout: 0 },
+          retry: {
+            maxRetries: 3,
+            baseDelayMs: 1,
+            maxDelayMs: 5,
+            onRetry: (retry) => {
+              retries.push(retry)
+              if (retry.attempt === releaseAfter) {
+                otherProcess.exec('COMMIT')
+              }
+            }
+          }
+        },
+        {
+          counter: {
+            identity: 'counter',
+            tableName: 'counters',
+            primaryKey: 'id',
+            definition: {
+              id: { type: 'number', autoIncrement: true, columnName: 'id' },
+              name: { type: 'string', columnName: 'name' }
+            }
+          }
+        },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    adapter.datastores.retryDatastore.manager.exec(
+      'CREATE TABLE counters (id INTEGER PRIMARY KEY, name TEXT)'
+    )
+    otherProcess = new Database(testDbPath, { timeout: 0 })
+  })
+
+  after(async () => {
+    if (otherProcess.inTransaction) otherProcess.exec('ROLLBACK')
+    otherProcess.close()
+    await new Promise((resolve, reject) => {
+      adapter.teardown('retryDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should retry a query until the database is free', async () => {
+    retries.length = 0
+    holdWriteLock(2)
+
+    const created = await run('create', {
+      method: 'create',
+      using: 'counters',
+      newRecord: { name: 'first' },
+      meta: { fetch: true }
+    })
+
+    assert.strictEqual(created.name, 'first')
+    assert.deepStrictEqual(
+      retries.map(({ attempt, method, model, error }) => ({
+        attempt,
+        method,
+        model,
+        code: error.code
+      })),
+      [
+        { attempt: 1, method: 'create', model: 'counter', code: 'E_BUSY' },
+        { attempt: 2, method: 'create', model: 'counter', code: 'E_BUSY' }
+      ]
+    )
+    assert.ok(retries.every(({ delayMs }) => delayMs >= 0 && delayMs <= 5))
+  })
+
+  test('should give up once the retries run out', async () => {
+    retries.length = 0
+    holdWriteLock(Infinity)
+    try {
+      await assert.rejects(
+        run('update', {
+          using: 'counters',
+          criteria: { where: {} },
+          valuesToSet: { name: 'renamed' }
+        }),
+        (err) => err.code === 'E_BUSY'
+      )
+      assert.strictEqual(retries.length, 3)
+    } finally {
+      otherProcess.exec('ROLLBACK')
+    }
+
+    // Nothing was left half-done.
+    const counters = await run('find', { using: 'counters', criteria: {} })
+    assert.deepStrictEqual(
+      counters.map(({ name }) => name),
+      ['first']
+    )
+  })
+
+  test('should retry beginning a transaction', async () => {
+    retries.length = 0
+    const manager = adapter.datastores.retryDatastore.manager
+    const connection = await new Promise((resolve, reject) => {
+      adapter.leaseConnection('retryDatastore', {}, (err, connection) => {
+        if (err) return reject(err)
+        resolve(connection)
+      })
+    })
+    assert.strictEqual(connection, manager)
+
+    holdWriteLock(1)
+    await finish('beginTransaction', connection, {
+      transactionMode: 'IMMEDIATE'
+    })
+    await finish('commitTransaction', connection)
+    await finish('releaseConnection', connection)
+
+    assert.deepStrictEqual(
+      retries.map(({ method }) => method),
+      ['beginTransaction']
+    )
+  })
+
+  test('should run a whole transaction again with runInTransactionAsync()', async () => {
+    retries.length = 0
+    const manager = adapter.datastores.retryDatastore.manager
+    let calls = 0
+
+    holdWriteLock(1)
+    const result = await manager.runInTransactionAsync(async (db) => {
+      calls++
+      await run('create', {
+        using: 'counters',
+        newRecord: { name: `attempt ${calls}` },
+        meta: { leasedConnection: db }
+      })
+      return calls
+    })
+
+    assert.strictEqual(result, 2)
+    assert.deepStrictEqual(
+      retries.map(({ method }) => method),
+      ['runInTransactionAsync']
+    )
+    const counters = await run('find', { using: 'counters', criteria: {} })
+    assert.deepStrictEqual(
+      counters.map(({ name }) => name),
+      ['first', 'attempt 2']
+    )
+  })
+
+  test('should not retry once busy_timeout has been waited out', async () => {
+    const manager = adapter.datastores.retryDatastore.manager
+    const configured = manager.retryOptions
+    assert.strictEqual(configured.busyTimeoutMs, 0)
+    manager.pragma('busy_timeout = 50')
+    manager.retryOptions = { ...configured, busyTimeoutMs: 50 }
+    retries.length = 0
+    holdWriteLock(Infinity)
+    try {
+      const startedAt = Date.now()
+      await assert.rejects(
+        run('update', {
+          using: 'counters',
+          criteria: { where: {} },
+          valuesToSet: { name: 'renamed' }
+        }),
+        (err) => err.code === 'E_BUSY'
+      )
+      // SQLite waited once; the adapter didn't wait three more times on top.
+      assert.strictEqual(retries.length, 0)
+      assert.ok(Date.now() - startedAt < 150)
+    } finally {
+      otherProcess.exec('ROLLBACK')
+      manager.pragma('busy_timeout = 0')
+      manager.retryOptions = configured
+    }
+  })
+
+  test('should not retry with `retry: false`, and reject bad options', async () => {
+    const manager = adapter.datastores.retryDatastore.manager
+    const configured = manager.retryOptions
+    manager.retryOptions = null
+    retries.length = 0
+    otherProcess.exec('BEGIN IMMEDIATE')
+    try {
+      await assert.rejects(
+        run('destroy', { using: 'counters', criteria: { where: {} } }),
+        (err) => err.code === 'E_BUSY'
+      )
+      assert.strictEqual(retries.length, 0)
+    } finally {
+      otherProcess.exec('ROLLBACK')
+      manager.retryOptions = configured
+    }
+
+    await assert.rejects(
+      new Promise((resolve, reject) => {
+        adapter.registerDatastore(
+          {
+            identity: 'badRetryDatastore',
+            adapter: 'sails-sqlite',
+            url: testDbPath,
+            retry: { maxRetries: -1 }
+          },
+          {},
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      }),
+      /Invalid `retry` config: `maxRetries`/
+    )
+  })
+})
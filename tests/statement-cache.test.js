@@ -0,0 +1,54 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const buildStatementCache = require('../lib/private/machines/private/build-statement-cache')
+
+describe('Prepared statement cache', () => {
+  const prepare = (sql) => ({ sql })
+
+  test('should reuse statements and count hits and misses', () => {
+    const cache = buildStatementCache(10)
+
+    const first = cache.get('SELECT 1', prepare)
+    const second = cache.get('SELECT 1', prepare)
+
+    assert.strictEqual(first, second)
+    assert.deepStrictEqual(cache.getStats(), {
+      hits: 1,
+      misses: 1,
+      evictions: 0,
+      size: 1,
+      maxSize: 10
+    })
+  })
+
+  test('should evict the least recently used statement when full', () => {
+    const cache = buildStatementCache(2)
+
+    const a = cache.get('SELECT a', prepare)
+    cache.get('SELECT b', prepare)
+    // Touch `a` so that `b` becomes the least recently used statement.
+    cache.get('SELECT a', prepare)
+    cache.get('SELECT c', prepare)
+
+    assert.strictEqual(cache.get('SELECT a', prepare), a)
+    const stats = cache.getStats()
+    assert.strictEqual(stats.size, 2)
+    assert.strictEqual(stats.evictions, 1)
+
+    // `b` was evicted, so asking for it again is a miss.
+    const missesBefore = stats.misses
+    cache.get('SELECT b', prepare)
+    assert.strictEqual(cache.getStats().misses, missesBefore + 1)
+  })
+
+  test('should not keep anything when the size is 0', () => {
+    const cache = buildStatementCache(0)
+
+    cache.get('SELECT 1', prepare)
+    cache.get('SELECT 1', prepare)
+
+    assert.strictEqual(cache.getStats().size, 0)
+    assert.strictEqual(cache.getStats().misses, 2)
+  })
+})
@@ -0,0 +1,242 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('STRICT tables and CHECK constraints', () => {
+  let testDbPath
+  let db
+
+  const models = {
+    tickets: {
+      identity: 'ticket',
+      tableName: 'tickets',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        title: {
+          type: 'string',
+          required: true,
+          columnName: 'title',
+          validations: { maxLength: 10 }
+        },
+        status: {
+          type: 'string',
+          columnName: 'status',
+          validations: { isIn: ['open', "won't fix"] }
+        },
+        priority: {
+          type: 'number',
+          columnName: 'priority',
+          validations: { min: 1, max: 5 }
+        }
+      }
+    },
+    notes: {
+      identity: 'note',
+      tableName: 'notes',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        body: { type: 'string', required: true, columnName: 'body' }
+      }
+    }
+  }
+
+  const define = (tableName, tableDef) =>
+    new Promise((resolve, reject) => {
+      adapter.define('strictDatastore', tableName, tableDef, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const create = (newRecord) =>
+    new Promise((resolve, reject) => {
+      adapter.create(
+        'strictDatastore',
+        { using: 'tickets', newRecord, meta: {} },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+
+  const assertViolation = (newRecord, constraint, keys) =>
+    assert.rejects(create(newRecord), (err) => {
+      assert.strictEqual(err.code, 'E_CONSTRAINT')
+      assert.deepStrictEqual(err.footprint, {
+        identity: 'violation',
+        table: 'tickets',
+        keys,
+        constraint
+      })
+      return true
+    })
+
+  const tableSql = (tableName) =>
+    db
+      .prepare(
+        "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?"
+      )
+      .get(tableName).sql
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-strict-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'strictDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          strict: true,
+          tables: { notes: { strict: false } }
+        },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.strictDatastore.manager
+
+    const tableDef = {
+      id: { type: 'number', autoIncrement: true },
+      title: { type: 'string' },
+      status: { type: 'string' },
+      priority: { type: 'number' }
+    }
+    await define('tickets', tableDef)
+    await define('notes', {
+      id: { type: 'number', autoIncrement: true },
+      body: { type: 'string' }
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve, reject) => {
+      adapter.teardown('strictDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should create STRICT tables', () => {
+    assert.match(tableSql('tickets'), /\) STRICT$/)
+    assert.match(tableSql('tickets'), /`title` TEXT NOT NULL/)
+  })
+
+  test('should let a table opt out of the datastore setting', () => {
+    assert.strictEqual(
+      tableSql('notes'),
+      'CREATE TABLE `notes` (`id` INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, `body` TEXT)'
+    )
+  })
+
+  test('should accept values that satisfy the constraints', async () => {
+    await create({ title: 'Fine', status: "won't fix", priority: 2.5 })
+  })
+
+  test('should name the failing constraint', async () => {
+    await assertViolation({ title: 'Bad', status: 'closed' }, 'status_isIn', [
+      'status'
+    ])
+    await assertViolation({ title: 'Bad', priority: 9 }, 'priority_max', [
+      'priority'
+    ])
+    await assertViolation(
+      { title: 'Far too long a title' },
+      'title_maxLength',
+      ['title']
+    )
+    await assertViolation({ status: 'open' }, 'NOT NULL', ['title'])
+    await assertViolation({ title: 'Bad', priority: 'high' }, 'STRICT', [
+      'priority'
+    ])
+  })
+})
+
+describe('STRICT tables through Waterline', () => {
+  let testDbPath
+  let orm
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-strict-orm-${Date.now()}.sqlite`)
+    orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            ormStrictDatastore: {
+              adapter: 'sails-sqlite',
+              url: testDbPath,
+              tables: { tickets: { strict: true } }
+            }
+          },
+          models: {
+            ticket: {
+              tableName: 'tickets',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                status: {
+                  type: 'string',
+                  required: true,
+                  validations: { isIn: ['open', 'closed'] },
+                  autoMigrations: { columnType: '_string' }
+                }
+              }
+            }
+          },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'ormStrictDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('drop', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should create the tables configured as STRICT', () => {
+    const { sql } = adapter.datastores.ormStrictDatastore.manager
+      .prepare("SELECT sql FROM sqlite_master WHERE name = 'tickets'")
+      .get()
+    assert.match(sql, /\) STRICT$/)
+    assert.match(sql, /`status` TEXT NOT NULL/)
+    assert.match(sql, /CONSTRAINT `status_isIn` CHECK/)
+  })
+})
@@ -1,7 +1,15 @@
-const { test, describe, before, after, beforeEach } = require('node:test')
+const {
+  test,
+  describe,
+  before,
+  after,
+  beforeEach,
+  afterEach
+} = require('node:test')
 const assert = require('node:assert')
 const path = require('node:path')
 const fs = require('node:fs')
+const Database = require('better-sqlite3')
 
 // Import the adapter
 const adapter = require('../lib/index.js')
@@ -109,29 +117,8 @@ describe('Transaction support', () => {
   })
 
   beforeEach(async () => {
-    // Clean up any existing data and reset transaction state before each test
+    // Clean up any existing data before each test
     try {
-      // First, make sure any active transactions are rolled back
-      const connection = await new Promise((resolve, reject) => {
-        adapter.leaseConnection('testDatastore', {}, (err, connection) => {
-          if (err) return reject(err)
-          resolve(connection)
-        })
-      })
-
-      if (connection && connection.inTransaction) {
-        await new Promise((resolve, reject) => {
-          adapter.rollbackTransaction(
-            'testDatastore',
-            { connection, meta: {} },
-            (err) => {
-              if (err) return reject(err)
-              resolve()
-            }
-          )
-        })
-      }
-
       // Clean up existing data
       const findQuery = {
         using: 'users',
@@ -166,6 +153,35 @@ describe('Transaction support', () => {
     }
   })
 
+  afterEach(async () => {
+    // Roll back anything a test left open, and hand the writer back.
+    const connection = adapter.datastores.testDatastore.manager
+    while (connection.inTransaction) {
+      await new Promise((resolve, reject) => {
+        adapter.rollbackTransaction(
+          'testDatastore',
+          { connection, meta: {} },
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+    }
+    if (connection.getPoolStats().writerLeased) {
+      await new Promise((resolve, reject) => {
+        adapter.releaseConnection(
+          'testDatastore',
+          { connection, meta: {} },
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+    }
+  })
+
   describe('leaseConnection', () => {
     test('should lease a connection successfully', async () => {
       const connection = await new Promise((resolve, reject) => {
@@ -224,7 +240,7 @@ describe('Transaction support', () => {
       assert(connection.inTransaction, 'Transaction should be active')
     })
 
-    test('should fail to begin nested transaction', async () => {
+    test('should begin a nested transaction as a savepoint', async () => {
       const connection = await new Promise((resolve, reject) => {
         adapter.leaseConnection('testDatastore', {}, (err, connection) => {
           if (err) return reject(err)
@@ -232,20 +248,7 @@ describe('Transaction support', () => {
         })
       })
 
-      // Begin first transaction
-      await new Promise((resolve, reject) => {
-        adapter.beginTransaction(
-          'testDatastore',
-          { connection, meta: {} },
-          (err) => {
-            if (err) return reject(err)
-            resolve()
-          }
-        )
-      })
-
-      // Try to begin second transaction (should fail)
-      try {
+      for (let i = 0; i < 2; i++) {
         await new Promise((resolve, reject) => {
           adapter.beginTransaction(
             'testDatastore',
@@ -256,13 +259,12 @@ describe('Transaction support', () => {
             }
           )
         })
-        assert.fail('Should have thrown an error for nested transaction')
-      } catch (err) {
-        assert(
-          err.message.includes('Transaction is already active'),
-          'Should have proper error message'
-        )
       }
+
+      assert.deepStrictEqual(
+        connection.openTransactions.map(({ isNested }) => isNested),
+        [false, true]
+      )
     })
   })
 
@@ -295,7 +297,7 @@ describe('Transaction support', () => {
           email: 'tx@example.com',
           balance: 100
         },
-        meta: { fetch: true }
+        meta: { fetch: true, leasedConnection: connection }
       }
 
       const createdRecord = await new Promise((resolve, reject) => {
@@ -397,7 +399,7 @@ describe('Transaction support', () => {
           email: 'rollback@example.com',
           balance: 500
         },
-        meta: { fetch: true }
+        meta: { fetch: true, leasedConnection: connection }
       }
 
       const createdRecord = await new Promise((resolve, reject) => {
@@ -516,7 +518,7 @@ describe('Transaction support', () => {
         using: 'users',
         criteria: { email: 'initial@example.com' },
         valuesToSet: { balance: 500 },
-        meta: { fetch: true }
+        meta: { fetch: true, leasedConnection: connection }
       }
 
       await new Promise((resolve, reject) => {
@@ -559,4 +561,525 @@ describe('Transaction support', () => {
       )
     })
   })
+
+  describe('Connection leasing', () => {
+    const lease = (meta) =>
+      new Promise((resolve, reject) => {
+        adapter.leaseConnection('testDatastore', meta, (err, connection) => {
+          if (err) return reject(err)
+          resolve(connection)
+        })
+      })
+    const run = (methodName, query) =>
+      new Promise((resolve, reject) => {
+        adapter[methodName]('testDatastore', query, (err, result) => {
+          if (err) return reject(err)
+          resolve(result)
+        })
+      })
+    const finish = (methodName, connection) =>
+      new Promise((resolve, reject) => {
+        adapter[methodName](
+          'testDatastore',
+          { connection, meta: {} },
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+
+    test('should make other callers wait for the leased writer', async () => {
+      const connection = await lease({})
+      await finish('beginTransaction', connection)
+      await run('create', {
+        using: 'users',
+        newRecord: { name: 'Pending', email: 'pending@example.com' },
+        meta: { leasedConnection: connection }
+      })
+
+      // Reads do not wait, and do not see the uncommitted record.
+      const found = await run('find', {
+        using: 'users',
+        criteria: { where: { email: 'pending@example.com' } }
+      })
+      assert.strictEqual(found.length, 0)
+
+      // A second transaction (or a write outside of one) waits its turn.
+      let secondConnection = null
+      const secondLease = lease({}).then((leased) => {
+        secondConnection = leased
+        return leased
+      })
+      let written = false
+      const write = run('create', {
+        using: 'users',
+        newRecord: { name: 'Later', email: 'later@example.com' }
+      }).then(() => {
+        written = true
+      })
+      await new Promise((resolve) => setImmediate(resolve))
+      assert.strictEqual(secondConnection, null)
+      assert.strictEqual(written, false)
+
+      await finish('commitTransaction', connection)
+      await finish('releaseConnection', connection)
+
+      assert.strictEqual(await secondLease, connection)
+      await finish('beginTransaction', secondConnection)
+      await finish('commitTransaction', secondConnection)
+      await finish('releaseConnection', secondConnection)
+      await write
+
+      const all = await run('find', { using: 'users', criteria: {} })
+      assert.deepStrictEqual(all.map((record) => record.email).sort(), [
+        'later@example.com',
+        'pending@example.com'
+      ])
+    })
+
+    test('should fail a write that waits too long for the leased writer', async () => {
+      const timeoutDbPath = path.join(
+        __dirname,
+        `test-acquire-timeout-${Date.now()}.sqlite`
+      )
+      const runOn = (methodName, query) =>
+        new Promise((resolve, reject) => {
+          adapter[methodName](
+            'acquireTimeoutDatastore',
+            query,
+            (err, result) => {
+              if (err) return reject(err)
+              resolve(result)
+            }
+          )
+        })
+      await new Promise((resolve, reject) => {
+        adapter.registerDatastore(
+          {
+            identity: 'acquireTimeoutDatastore',
+            adapter: 'sails-sqlite',
+            url: timeoutDbPath,
+            // (Waits for a lease as long as for a lock, by default.)
+            pragmas: { busy_timeout: 50 }
+          },
+          {
+            acquiretimeoutnote: {
+              identity: 'acquiretimeoutnote',
+              tableName: 'notes',
+              primaryKey: 'id',
+              definition: {
+                id: { type: 'number', autoIncrement: true, columnName: 'id' },
+                body: { type: 'string', columnName: 'body' }
+              }
+            }
+          },
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+      const manager = adapter.datastores.acquireTimeoutDatastore.manager
+      manager.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)')
+
+      try {
+        // e.g. a write inside `.transaction()` without `.usingConnection(db)`
+        const connection = await new Promise((resolve, reject) => {
+          adapter.leaseConnection(
+            'acquireTimeoutDatastore',
+            {},
+            (err, connection) => {
+              if (err) return reject(err)
+              resolve(connection)
+            }
+          )
+        })
+        const startedAt = Date.now()
+        await assert.rejects(
+          runOn('create', { using: 'notes', newRecord: { body: 'stuck' } }),
+          (err) => {
+            assert.strictEqual(err.code, 'E_ACQUIRE_TIMEOUT')
+            assert.match(err.message, /usingConnection/)
+            return true
+          }
+        )
+        assert.ok(Date.now() - startedAt >= 45)
+        assert.strictEqual(manager.getPoolStats().waiting, 0)
+
+        // The writer is handed out as usual once released.
+        connection.releaseLease()
+        await runOn('create', { using: 'notes', newRecord: { body: 'later' } })
+      } finally {
+        await new Promise((resolve) =>
+          adapter.teardown('acquireTimeoutDatastore', resolve)
+        )
+        for (const suffix of ['', '-wal', '-shm']) {
+          if (fs.existsSync(timeoutDbPath + suffix)) {
+            fs.unlinkSync(timeoutDbPath + suffix)
+          }
+        }
+      }
+    })
+
+    test('should lease a read-only connection on request', async () => {
+      const writer = adapter.datastores.testDatastore.manager
+      const reader = await lease({ readonly: true })
+
+      assert.notStrictEqual(reader, writer)
+      assert.strictEqual(reader.readonly, true)
+      assert.strictEqual(writer.getPoolStats().idleReaders, 3)
+
+      await finish('releaseConnection', reader)
+      assert.strictEqual(writer.getPoolStats().idleReaders, 4)
+    })
+  })
+
+  describe('Nested transactions', () => {
+    const lease = () =>
+      new Promise((resolve, reject) => {
+        adapter.leaseConnection('testDatastore', {}, (err, connection) => {
+          if (err) return reject(err)
+          resolve(connection)
+        })
+      })
+    // Run `fn` with the writer, as `sails.getDatastore().leaseConnection()`
+    // does: from the callback the connection is handed to.
+    const withLease = (fn) =>
+      new Promise((resolve, reject) => {
+        adapter.leaseConnection('testDatastore', {}, (err, connection) => {
+          if (err) return reject(err)
+          Promise.resolve()
+            .then(() => fn(connection))
+            .then(resolve, reject)
+        })
+      })
+    const run = (methodName, query) =>
+      new Promise((resolve, reject) => {
+        adapter[methodName]('testDatastore', query, (err, result) => {
+          if (err) return reject(err)
+          resolve(result)
+        })
+      })
+    const finish = (methodName, connection) =>
+      new Promise((resolve, reject) => {
+        adapter[methodName](
+          'testDatastore',
+          { connection, meta: {} },
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+    const createUser = (connection, email) =>
+      run('create', {
+        using: 'users',
+        newRecord: { name: email.split('@')[0], email },
+        meta: { leasedConnection: connection }
+      })
+    const findEmails = async () =>
+      (await run('find', { using: 'users', criteria: {} }))
+        .map((record) => record.email)
+        .sort()
+
+    test('should only undo the inner transaction when it rolls back', async () => {
+      const connection = await lease()
+      await finish('beginTransaction', connection)
+      await createUser(connection, 'outer@example.com')
+
+      await finish('beginTransaction', connection)
+      await createUser(connection, 'inner@example.com')
+      await finish('rollbackTransaction', connection)
+
+      assert.ok(connection.inTransaction)
+      await createUser(connection, 'after@example.com')
+      await finish('commitTransaction', connection)
+      await finish('releaseConnection', connection)
+
+      assert.deepStrictEqual(await findEmails(), [
+        'after@example.com',
+        'outer@example.com'
+      ])
+    })
+
+    test('should only save a committed inner transaction with the outer one', async () => {
+      const connection = await lease()
+      await finish('beginTransaction', connection)
+      await finish('beginTransaction', connection)
+      await createUser(connection, 'inner@example.com')
+      await finish('commitTransaction', connection)
+      await finish('rollbackTransaction', connection)
+      await finish('releaseConnection', connection)
+
+      assert.ok(!connection.inTransaction)
+      assert.deepStrictEqual(await findEmails(), [])
+    })
+
+    test('should recover from a failure in runInTransactionAsync()', async () => {
+      await withLease(async (connection) => {
+        await finish('beginTransaction', connection)
+        await createUser(connection, 'taken@example.com')
+
+        // e.g. a service called from inside a `.transaction()` block
+        await assert.rejects(
+          connection.runInTransactionAsync(async (db) => {
+            await createUser(db, 'service@example.com')
+            await createUser(db, 'taken@example.com')
+          }),
+          (err) => err.code === 'E_UNIQUE'
+        )
+
+        const result = await connection.runInTransactionAsync(async (db) => {
+          await createUser(db, 'retried@example.com')
+          return 'done'
+        })
+        assert.strictEqual(result, 'done')
+
+        await finish('commitTransaction', connection)
+        await finish('releaseConnection', connection)
+      })
+
+      assert.deepStrictEqual(await findEmails(), [
+        'retried@example.com',
+        'taken@example.com'
+      ])
+    })
+
+    test('should keep updates and destroys inside their own savepoint', async () => {
+      const connection = await lease()
+      await finish('beginTransaction', connection)
+      await createUser(connection, 'first@example.com')
+      await createUser(connection, 'second@example.com')
+
+      const statements = []
+      const prepare = connection.prepare
+      connection.prepare = function (sql) {
+        statements.push(sql)
+        return prepare.call(this, sql)
+      }
+      try {
+        await assert.rejects(
+          run('update', {
+            using: 'users',
+            criteria: { where: {} },
+            valuesToSet: { email: 'same@example.com' },
+            meta: { leasedConnection: connection }
+          }),
+          (err) => err.code === 'E_UNIQUE'
+        )
+      } finally {
+        connection.prepare = prepare
+      }
+      assert.match(statements[0], /^SAVEPOINT /)
+      assert.match(statements[statements.length - 1], /^RELEASE /)
+
+      assert.ok(connection.inTransaction)
+      await finish('commitTransaction', connection)
+      await finish('releaseConnection', connection)
+      assert.deepStrictEqual(await findEmails(), [
+        'first@example.com',
+        'second@example.com'
+      ])
+    })
+
+    test('should refuse to finish an outer transaction before an inner one', async () => {
+      await withLease(async (connection) => {
+        await finish('beginTransaction', connection)
+        const depth = connection.openTransactions.length
+        await connection.runInTransactionAsync(async () => {
+          assert.strictEqual(connection.openTransactions.length, depth + 1)
+          assert.throws(
+            () => connection.openTransactions[0].commit(),
+            /before the ones nested inside it/
+          )
+        })
+        await finish('rollbackTransaction', connection)
+        await finish('releaseConnection', connection)
+      })
+    })
+
+    test('should keep writes from outside out of a runInTransactionAsync() transaction', async () => {
+      const manager = adapter.datastores.testDatastore.manager
+      let outsideWrite
+      await assert.rejects(
+        manager.runInTransactionAsync(async (db) => {
+          await createUser(db, 'inside@example.com')
+          // Meanwhile, another request writes outside the transaction.
+          outsideWrite = run('create', {
+            using: 'users',
+            newRecord: { name: 'outside', email: 'outside@example.com' },
+            meta: {}
+          })
+          await new Promise((resolve) => setTimeout(resolve, 50))
+          throw new Error('Changed my mind')
+        }),
+        /Changed my mind/
+      )
+
+      // The outside write waited for the writer, so it was not rolled back.
+      await outsideWrite
+      assert.deepStrictEqual(await findEmails(), ['outside@example.com'])
+    })
+
+    test('should refuse to join a transaction that was begun without a lease', async () => {
+      const manager = adapter.datastores.testDatastore.manager
+      manager.prepare('BEGIN').run()
+      try {
+        await assert.rejects(
+          manager.runInTransactionAsync(async () => {}),
+          /begun without leasing it/
+        )
+      } finally {
+        manager.prepare('ROLLBACK').run()
+      }
+    })
+  })
+
+  describe('Transaction modes', () => {
+    const lease = (datastoreName) =>
+      new Promise((resolve, reject) => {
+        adapter.leaseConnection(datastoreName, {}, (err, connection) => {
+          if (err) return reject(err)
+          resolve(connection)
+        })
+      })
+    const finish = (datastoreName, methodName, connection, meta) =>
+      new Promise((resolve, reject) => {
+        adapter[methodName](
+          datastoreName,
+          { connection, meta: meta || {} },
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+    // Record the statements a connection prepares while `fn` runs.
+    const recordStatements = async (connection, fn) => {
+      const statements = []
+      const prepare = connection.prepare
+      connection.prepare = function (sql) {
+        statements.push(sql)
+        return prepare.call(this, sql)
+      }
+      try {
+        await fn()
+      } finally {
+        connection.prepare = prepare
+      }
+      return statements
+    }
+    // Whether another process could start writing right now.
+    const canWriteElsewhere = () => {
+      const other = new Database(testDbPath, { timeout: 0 })
+      try {
+        other.exec('BEGIN IMMEDIATE')
+        other.exec('ROLLBACK')
+        return true
+      } catch (err) {
+        assert.strictEqual(err.code, 'SQLITE_BUSY')
+        return false
+      } finally {
+        other.close()
+      }
+    }
+
+    test('should only take the write lock up front with IMMEDIATE', async () => {
+      const connection = await lease('testDatastore')
+
+      await finish('testDatastore', 'beginTransaction', connection)
+      assert.strictEqual(canWriteElsewhere(), true)
+      await finish('testDatastore', 'rollbackTransaction', connection)
+
+      await finish('testDatastore', 'beginTransaction', connection, {
+        transactionMode: 'immediate'
+      })
+      assert.strictEqual(canWriteElsewhere(), false)
+      await finish('testDatastore', 'commitTransaction', connection)
+      assert.strictEqual(canWriteElsewhere(), true)
+
+      await assert.rejects(
+        finish('testDatastore', 'beginTransaction', connection, {
+          transactionMode: 'LAZY'
+        }),
+        /Invalid `transactionMode` \(LAZY\)/
+      )
+      await finish('testDatastore', 'releaseConnection', connection)
+    })
+
+    test('should use IMMEDIATE for internal transactions', async () => {
+      const connection = adapter.datastores.testDatastore.manager
+      const statements = await recordStatements(
+        connection,
+        () =>
+          new Promise((resolve, reject) => {
+            adapter.update(
+              'testDatastore',
+              {
+                using: 'users',
+                criteria: { where: { name: 'nobody' } },
+                valuesToSet: { balance: 1 }
+              },
+              (err) => {
+                if (err) return reject(err)
+                resolve()
+              }
+            )
+          })
+      )
+      assert.strictEqual(statements[0], 'BEGIN IMMEDIATE')
+    })
+
+    test('should default to the datastore `transactionMode`', async () => {
+      await new Promise((resolve, reject) => {
+        adapter.registerDatastore(
+          {
+            identity: 'exclusiveDatastore',
+            adapter: 'sails-sqlite',
+            url: testDbPath,
+            readPoolSize: 0,
+            transactionMode: 'EXCLUSIVE'
+          },
+          {},
+          (err) => {
+            if (err) return reject(err)
+            resolve()
+          }
+        )
+      })
+      try {
+        const connection = await lease('exclusiveDatastore')
+        const statements = await recordStatements(connection, async () => {
+          await finish('exclusiveDatastore', 'beginTransaction', connection)
+          await finish('exclusiveDatastore', 'commitTransaction', connection)
+        })
+        assert.deepStrictEqual(statements, ['BEGIN EXCLUSIVE', 'COMMIT'])
+        await finish('exclusiveDatastore', 'releaseConnection', connection)
+      } finally {
+        await new Promise((resolve) =>
+          adapter.teardown('exclusiveDatastore', resolve)
+        )
+      }
+
+      await assert.rejects(
+        new Promise((resolve, reject) => {
+          adapter.registerDatastore(
+            {
+              identity: 'badModeDatastore',
+              adapter: 'sails-sqlite',
+              url: testDbPath,
+              transactionMode: 'LAZY'
+            },
+            {},
+            (err) => {
+              if (err) return reject(err)
+              resolve()
+            }
+          )
+        }),
+        /transactionMode/
+      )
+    })
+  })
 })
@@ -0,0 +1,119 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('WAL checkpoints', () => {
+  let testDbPath
+  let db
+
+  const register = (identity, url, config) =>
+    new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        { identity, adapter: 'sails-sqlite', url, ...config },
+        {},
+        (err) => {
+          if (err) return reject(err)
+          resolve(adapter.datastores[identity].manager)
+        }
+      )
+    })
+
+  const teardown = (identity) =>
+    new Promise((resolve, reject) => {
+      adapter.teardown(identity, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  const removeDatabase = (filePath) => {
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(filePath + suffix)) fs.unlinkSync(filePath + suffix)
+    }
+  }
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-wal-${Date.now()}.sqlite`)
+
+    // With automatic checkpoints turned off, only the scheduled ones empty the WAL file.
+    db = await register('walDatastore', testDbPath, {
+      wal: { autocheckpoint: 0, checkpointInterval: 50 }
+    })
+    db.exec('CREATE TABLE events (id INTEGER PRIMARY KEY, payload TEXT)')
+  })
+
+  after(async () => {
+    await teardown('walDatastore')
+    removeDatabase(testDbPath)
+  })
+
+  test('should report the size of the WAL file', () => {
+    const insert = db.prepare('INSERT INTO events (payload) VALUES (?)')
+    for (let i = 0; i < 100; i++) {
+      insert.run('x'.repeat(1000))
+    }
+
+    const status = db.getWalStatus()
+    assert.strictEqual(status.enabled, true)
+    assert.strictEqual(status.walPath, `${testDbPath}-wal`)
+    assert.strictEqual(status.autocheckpoint, 0)
+    assert.ok(status.walSizeBytes > 100 * 1000)
+  })
+
+  test('should checkpoint the WAL file in the background', async () => {
+    db.prepare('INSERT INTO events (payload) VALUES (?)').run('y')
+    await new Promise((resolve) => setTimeout(resolve, 150))
+
+    const { lastCheckpoint } = db.getWalStatus()
+    assert.strictEqual(lastCheckpoint.mode, 'PASSIVE')
+    assert.strictEqual(lastCheckpoint.busy, false)
+    assert.strictEqual(
+      lastCheckpoint.checkpointedFrames,
+      lastCheckpoint.walFrames
+    )
+  })
+
+  test('should truncate the WAL file on request', () => {
+    db.prepare('INSERT INTO events (payload) VALUES (?)').run('z')
+
+    const checkpoint = db.checkpointWal('TRUNCATE')
+
+    assert.strictEqual(checkpoint.mode, 'TRUNCATE')
+    assert.deepStrictEqual(db.getWalStatus().lastCheckpoint, checkpoint)
+    assert.strictEqual(db.getWalStatus().walSizeBytes, 0)
+    assert.throws(() => db.checkpointWal('SOMETIMES'), /checkpoint mode/)
+  })
+
+  test('should run a final TRUNCATE checkpoint on teardown', async () => {
+    const otherDbPath = path.join(
+      __dirname,
+      `test-wal-other-${Date.now()}.sqlite`
+    )
+    const other = await register('walTeardownDatastore', otherDbPath, {})
+    other.exec('CREATE TABLE events (id INTEGER PRIMARY KEY)')
+
+    const modes = []
+    const checkpointWal = other.checkpointWal
+    other.checkpointWal = function (mode) {
+      modes.push(mode)
+      return checkpointWal.call(this, mode)
+    }
+    await teardown('walTeardownDatastore')
+    removeDatabase(otherDbPath)
+
+    assert.deepStrictEqual(modes, ['TRUNCATE'])
+  })
+
+  test('should reject an unknown checkpoint mode in the config', async () => {
+    await assert.rejects(
+      register('walInvalidDatastore', ':memory:', {
+        wal: { checkpointMode: 'SOMETIMES' }
+      }),
+      /checkpointMode/
+    )
+  })
+})
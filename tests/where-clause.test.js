@@ -0,0 +1,271 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const Waterline = require('waterline')
+const { autoMigrations } = require('waterline-utils')
+
+const adapter = require('../lib/index.js')
+const buildSqliteWhereClause = require('../lib/private/machines/private/build-sqlite-where-clause')
+
+describe('buildSqliteWhereClause', () => {
+  const WLModel = { attributes: {} }
+
+  test('should return an empty clause for an empty `where`', () => {
+    assert.deepStrictEqual(buildSqliteWhereClause({}, WLModel), {
+      sql: '',
+      bindings: []
+    })
+  })
+
+  test('should use placeholders instead of inlining values', () => {
+    const { sql, bindings } = buildSqliteWhereClause(
+      { name: "O'Brien", age: { '>=': 21 } },
+      WLModel
+    )
+
+    assert.strictEqual(sql, '`name` = ? AND `age` >= ?')
+    assert.deepStrictEqual(bindings, ["O'Brien", 21])
+  })
+
+  test('should produce the same SQL for the same criteria shape', () => {
+    const first = buildSqliteWhereClause({ email: 'a@example.com' }, WLModel)
+    const second = buildSqliteWhereClause({ email: 'b@example.com' }, WLModel)
+
+    assert.strictEqual(first.sql, second.sql)
+    assert.notDeepStrictEqual(first.bindings, second.bindings)
+  })
+
+  test('should bind `in`, `nin` and nested `or` branches in order', () => {
+    const { sql, bindings } = buildSqliteWhereClause(
+      {
+        and: [
+          { id: { in: [1, 2, 3] } },
+          { or: [{ status: { nin: ['banned'] } }, { isAdmin: true }] }
+        ]
+      },
+      WLModel
+    )
+
+    assert.strictEqual(
+      sql,
+      '(`id` IN (?, ?, ?) AND (`status` NOT IN (?) OR `isAdmin` = ?))'
+    )
+    assert.deepStrictEqual(bindings, [1, 2, 3, 'banned', 1])
+  })
+
+  test('should compile `null` comparisons to IS NULL / IS NOT NULL', () => {
+    const { sql, bindings } = buildSqliteWhereClause(
+      { deletedAt: null, archivedAt: { '!=': null } },
+      WLModel
+    )
+
+    assert.strictEqual(sql, '`deletedAt` IS NULL AND `archivedAt` IS NOT NULL')
+    assert.deepStrictEqual(bindings, [])
+  })
+
+  test('should bind `like` patterns, honoring case-insensitivity', () => {
+    const { sql, bindings } = buildSqliteWhereClause(
+      { name: { like: 'ann' } },
+      WLModel,
+      { makeLikeModifierCaseInsensitive: true }
+    )
+
+    assert.strictEqual(sql, 'LOWER(`name`) LIKE LOWER(?)')
+    assert.deepStrictEqual(bindings, ['%ann%'])
+  })
+
+  describe('JSON attributes', () => {
+    const JsonModel = {
+      attributes: {
+        settings: { type: 'json', columnName: 'settings' }
+      }
+    }
+
+    test('should compile dotted paths to json_extract()', () => {
+      const { sql, bindings } = buildSqliteWhereClause(
+        {
+          'settings.theme': 'dark',
+          'settings.panels.0.width': { '>': 200 },
+          'settings.beta': true
+        },
+        JsonModel
+      )
+
+      assert.strictEqual(
+        sql,
+        'json_extract(`settings`, ?) = ? AND json_extract(`settings`, ?) > ? AND json_extract(`settings`, ?) = ?'
+      )
+      assert.deepStrictEqual(bindings, [
+        '$.theme',
+        'dark',
+        '$.panels[0].width',
+        200,
+        '$.beta',
+        1
+      ])
+    })
+
+    test('should compile `jsonContains` and `jsonHasKey` (from meta) to json_each()', () => {
+      const { sql, bindings } = buildSqliteWhereClause({ id: 1 }, JsonModel, {
+        jsonContains: { 'settings.roles': 'admin' },
+        jsonHasKey: { settings: 'theme' }
+      })
+
+      assert.strictEqual(
+        sql,
+        'EXISTS (SELECT 1 FROM json_each(`settings`, ?) WHERE value = ?) AND EXISTS (SELECT 1 FROM json_each(`settings`) WHERE key = ?) AND (`id` = ?)'
+      )
+      assert.deepStrictEqual(bindings, ['$.roles', 'admin', 'theme', 1])
+    })
+
+    test('should reject JSON operators that are not a dictionary of values', () => {
+      assert.throws(
+        () =>
+          buildSqliteWhereClause({}, JsonModel, { jsonContains: ['admin'] }),
+        /Invalid `jsonContains` in meta/
+      )
+      assert.throws(
+        () =>
+          buildSqliteWhereClause({}, JsonModel, {
+            jsonHasKey: { settings: { theme: true } }
+          }),
+        /Invalid `jsonHasKey` in meta: the value for `settings`/
+      )
+    })
+  })
+})
+
+describe('JSON attributes through Waterline', () => {
+  let testDbPath
+  let orm
+  let User
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-where-orm-${Date.now()}.sqlite`)
+    orm = await new Promise((resolve, reject) => {
+      Waterline.start(
+        {
+          adapters: { 'sails-sqlite': adapter },
+          datastores: {
+            ormWhereDatastore: { adapter: 'sails-sqlite', url: testDbPath }
+          },
+          models: {
+            user: {
+              tableName: 'users',
+              attributes: {
+                id: {
+                  type: 'number',
+                  autoMigrations: {
+                    columnType: '_numberkey',
+                    autoIncrement: true
+                  }
+                },
+                preferences: {
+                  type: 'json',
+                  columnName: 'prefs',
+                  autoMigrations: { columnType: '_json' }
+                },
+                tags: {
+                  type: 'json',
+                  autoMigrations: { columnType: '_json' }
+                }
+              }
+            }
+          },
+          defaultModelSettings: {
+            primaryKey: 'id',
+            datastore: 'ormWhereDatastore'
+          }
+        },
+        (err, orm) => {
+          if (err) return reject(err)
+          resolve(orm)
+        }
+      )
+    })
+    await new Promise((resolve, reject) => {
+      autoMigrations('drop', orm, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+    User = Waterline.getModel('user', orm)
+    await User.createEach([
+      {
+        preferences: { theme: 'dark', panels: [{ width: 300 }] },
+        tags: ['sqlite', 'orm']
+      },
+      {
+        preferences: { theme: 'light', panels: [{ width: 100 }], beta: true },
+        tags: ['postgres']
+      }
+    ])
+  })
+
+  after(async () => {
+    await new Promise((resolve) => Waterline.stop(orm, () => resolve()))
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should filter by dotted paths with `enableExperimentalDeepTargets`', async () => {
+    const ids = (users) => users.map((user) => user.id)
+    const meta = { enableExperimentalDeepTargets: true }
+
+    assert.deepStrictEqual(
+      ids(await User.find({ 'preferences.theme': 'dark' }).meta(meta)),
+      [1]
+    )
+    assert.deepStrictEqual(
+      ids(
+        await User.find({ 'preferences.panels.0.width': { '<': 200 } }).meta(
+          meta
+        )
+      ),
+      [2]
+    )
+
+    // Waterline itself refuses dotted keys without the meta key.
+    await assert.rejects(
+      User.find({ 'preferences.theme': 'dark' }),
+      (err) => err.name === 'UsageError'
+    )
+  })
+
+  test('should match array elements and object keys with `jsonContains` and `jsonHasKey`', async () => {
+    const ids = (users) => users.map((user) => user.id)
+
+    assert.deepStrictEqual(
+      ids(await User.find().meta({ jsonContains: { tags: 'sqlite' } })),
+      [1]
+    )
+    // (Unlike Waterline's `contains`, which matches the JSON text.)
+    assert.deepStrictEqual(
+      ids(await User.find().meta({ jsonContains: { tags: 'sql' } })),
+      []
+    )
+    assert.deepStrictEqual(
+      ids(
+        await User.find({ id: { '>': 0 } }).meta({
+          jsonHasKey: { preferences: 'beta' }
+        })
+      ),
+      [2]
+    )
+    assert.deepStrictEqual(
+      ids(
+        await User.find().meta({
+          jsonContains: { 'preferences.panels.0.width': 300 }
+        })
+      ),
+      [1]
+    )
+    assert.strictEqual(
+      await User.count().meta({ jsonContains: { tags: 'postgres' } }),
+      1
+    )
+  })
+})
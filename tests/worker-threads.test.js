@@ -0,0 +1,172 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const path = require('node:path')
+const fs = require('node:fs')
+const { Worker } = require('node:worker_threads')
+
+// Import the adapter
+const adapter = require('../lib/index.js')
+
+describe('Worker threads', () => {
+  let testDbPath
+  let db
+
+  const models = {
+    report: {
+      identity: 'report',
+      tableName: 'reports',
+      primaryKey: 'id',
+      definition: {
+        id: { type: 'number', autoIncrement: true, columnName: 'id' },
+        title: { type: 'string', columnName: 'title' },
+        total: { type: 'number', columnName: 'total' },
+        data: { type: 'json', columnName: 'data' },
+        attachment: { type: 'ref', columnName: 'attachment' }
+      }
+    }
+  }
+
+  const run = (methodName, query) =>
+    new Promise((resolve, reject) => {
+      adapter[methodName]('workerDatastore', query, (err, result) => {
+        if (err) return reject(err)
+        resolve(result)
+      })
+    })
+
+  before(async () => {
+    testDbPath = path.join(__dirname, `test-workers-${Date.now()}.sqlite`)
+
+    await new Promise((resolve, reject) => {
+      adapter.registerDatastore(
+        {
+          identity: 'workerDatastore',
+          adapter: 'sails-sqlite',
+          url: testDbPath,
+          readPoolSize: 0,
+          workerThreads: { size: 2 }
+        },
+        models,
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+    db = adapter.datastores.workerDatastore.manager
+
+    await new Promise((resolve, reject) => {
+      adapter.define(
+        'workerDatastore',
+        'reports',
+        {
+          id: { type: 'number', autoIncrement: true },
+          title: { type: 'string' },
+          total: { type: 'number' },
+          data: { type: 'json' },
+          attachment: { type: 'ref' }
+        },
+        (err) => {
+          if (err) return reject(err)
+          resolve()
+        }
+      )
+    })
+
+    for (const [title, total] of [
+      ['Q1', 10],
+      ['Q2', 20],
+      ['Q3', 30]
+    ]) {
+      await run('create', {
+        using: 'reports',
+        newRecord: { title, total, data: { title }, attachment: null },
+        meta: {}
+      })
+    }
+    db.prepare('UPDATE reports SET attachment = ? WHERE title = ?').run(
+      Buffer.from('pdf'),
+      'Q1'
+    )
+  })
+
+  const teardown = () =>
+    new Promise((resolve, reject) => {
+      adapter.teardown('workerDatastore', (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+
+  after(async () => {
+    if (adapter.datastores.workerDatastore) {
+      await teardown()
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) fs.unlinkSync(testDbPath + suffix)
+    }
+  })
+
+  test('should run reads in a worker, without blocking the main thread', async () => {
+    const pending = run('find', {
+      using: 'reports',
+      criteria: { where: { total: { '>': 15 } }, sort: [{ total: 'DESC' }] }
+    })
+    assert.strictEqual(db.getPoolStats().queriesInFlight, 1)
+
+    const records = await pending
+    assert.deepStrictEqual(
+      records.map((record) => [record.title, record.data]),
+      [
+        ['Q3', { title: 'Q3' }],
+        ['Q2', { title: 'Q2' }]
+      ]
+    )
+    assert.strictEqual(db.getPoolStats().queriesInFlight, 0)
+  })
+
+  test('should return aggregates and buffers from a worker', async () => {
+    const [count, sum, records] = await Promise.all([
+      run('count', { using: 'reports', criteria: { where: {} } }),
+      run('sum', {
+        using: 'reports',
+        numericAttrName: 'total',
+        criteria: { where: {} }
+      }),
+      run('find', { using: 'reports', criteria: { where: { title: 'Q1' } } })
+    ])
+
+    assert.strictEqual(count, 3)
+    assert.strictEqual(sum, 60)
+    assert.ok(Buffer.isBuffer(records[0].attachment))
+    assert.strictEqual(records[0].attachment.toString(), 'pdf')
+  })
+
+  test('should pass errors back from a worker', async () => {
+    await assert.rejects(
+      run('find', {
+        using: 'reports',
+        criteria: { where: {} },
+        meta: { search: 'Q1' }
+      }),
+      /fullTextSearch/
+    )
+  })
+
+  test('should tear down only once the workers have exited', async () => {
+    const terminate = Worker.prototype.terminate
+    let exited = 0
+    Worker.prototype.terminate = function () {
+      return terminate.call(this).then((exitCode) => {
+        exited++
+        return exitCode
+      })
+    }
+    try {
+      await teardown()
+    } finally {
+      Worker.prototype.terminate = terminate
+    }
+    assert.strictEqual(exited, 2)
+  })
+})